@@ -1,24 +1,43 @@
+import config from "./config.js";
+import session from "./session.js";
+import outbox from "./outbox.js";
+
 // ===============================
 // API CONFIG
 // ===============================
-const API_BASE = "https://workbackend-egr6.onrender.com";
+// Resolved at runtime from js/config.js (profiles, <meta>, ?api= override)
+const API_BASE = config.apiBase;
 
 // ===============================
-// TOKEN HELPERS
+// QUERY STRING HELPER
 // ===============================
-const getToken = () => localStorage.getItem("token");
-const setToken = (token) => localStorage.setItem("token", token);
-const clearToken = () => localStorage.removeItem("token");
+// Drops empty values so callers can pass a whole filter object as-is
+function buildQuery(params = {}) {
+  const search = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    search.append(key, value);
+  });
+
+  const query = search.toString();
+  return query ? `?${query}` : "";
+}
 
 // ===============================
 // CORE REQUEST HANDLER
 // ===============================
+// options.queue: { kind, label, ref, key } - when the server can't be reached,
+// the change goes into the outbox (js/outbox.js) and the call resolves with
+// { queued: true, entry } instead of failing. Only for changes that still make
+// sense sent later.
 async function request(endpoint, options = {}) {
-  const token = getToken();
+  const { queue, ...fetchOptions } = options;
+  const token = session.getToken();
 
   const headers = {
     "Content-Type": "application/json",
-    ...(options.headers || {})
+    ...(fetchOptions.headers || {})
   };
 
   // Backend expects RAW token (no 'Bearer' prefix)
@@ -26,24 +45,106 @@ async function request(endpoint, options = {}) {
     headers["Authorization"] = token;
   }
 
-  const res = await fetch(`${API_BASE}${endpoint}`, {
-    ...options,
-    headers
-  });
+  let res;
+  try {
+    res = await fetch(`${API_BASE}${endpoint}`, {
+      ...fetchOptions,
+      headers
+    });
+  } catch (error) {
+    // fetch only rejects when no response came back - offline or server unreachable.
+    // Nothing is queued until the signed-in user is known (outbox.setOwner).
+    const entry = queue ? outbox.add({
+      ...queue,
+      endpoint,
+      method: fetchOptions.method,
+      body: fetchOptions.body
+    }) : null;
+    if (entry) {
+      return { queued: true, entry };
+    }
+    throw new Error(navigator.onLine === false
+      ? "You're offline - this needs a connection"
+      : "Can't reach the server - check your connection");
+  }
 
   const data = await res.json();
 
   if (!res.ok) {
-    if (res.status === 401) {
-      clearToken();
-      window.location.href = "/pages/login.html";
+    // A 401 on an authenticated call means the token is no longer valid.
+    // (Login itself returns 401 for bad credentials - let the form handle it.)
+    if (res.status === 401 && token) {
+      session.redirectToLogin({ reason: "expired" });
     }
-    throw new Error(data.msg || data.message || "API Error");
+    // status lets callers tell a rejected request from an expired session
+    const error = new Error(data.msg || data.message || "API Error");
+    error.status = res.status;
+    throw error;
   }
 
   return data;
 }
 
+// ===============================
+// MULTIPART UPLOAD HANDLER
+// ===============================
+// Same auth and error handling as request(), but sends FormData over XHR so
+// callers can follow upload progress (fetch can't report it).
+// onProgress receives a fraction between 0 and 1.
+function upload(endpoint, formData, { onProgress } = {}) {
+  const token = session.getToken();
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", `${API_BASE}${endpoint}`);
+
+    // No Content-Type: the browser sets the multipart boundary itself
+    if (token) {
+      xhr.setRequestHeader("Authorization", token);
+    }
+
+    if (onProgress) {
+      xhr.upload.addEventListener("progress", (e) => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+      });
+    }
+
+    xhr.addEventListener("load", () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (error) {
+        // Non-JSON error page (e.g. a proxy's 413) - fall through with no message
+      }
+
+      if (xhr.status < 200 || xhr.status >= 300) {
+        if (xhr.status === 401 && token) {
+          session.redirectToLogin({ reason: "expired" });
+        }
+        reject(new Error(data.msg || data.message || (xhr.status === 413 ? "File is too large" : "Upload failed")));
+        return;
+      }
+
+      resolve(data);
+    });
+
+    xhr.addEventListener("error", () => reject(new Error("Network error - upload failed")));
+    xhr.addEventListener("abort", () => reject(new Error("Upload cancelled")));
+
+    xhr.send(formData);
+  });
+}
+
+// ===============================
+// EVENT STREAM
+// ===============================
+// EventSource can't send headers, and a JWT in the URL would end up in server
+// and proxy access logs - pass a short-lived, single-use ticket instead
+// (events.getStreamTicket)
+function openEventStream(endpoint, params = {}) {
+  return new EventSource(`${API_BASE}${endpoint}${buildQuery(params)}`);
+}
+
 // ===============================
 // API SERVICE - Organized by domain
 // ===============================
@@ -56,7 +157,7 @@ const apiService = {
         body: JSON.stringify(payload)
       });
       if (res.token) {
-        setToken(res.token);
+        session.setToken(res.token);
       }
       return res;
     },
@@ -67,7 +168,7 @@ const apiService = {
         body: JSON.stringify(payload)
       });
       if (res.token) {
-        setToken(res.token);
+        session.setToken(res.token);
       }
       return res;
     },
@@ -77,17 +178,18 @@ const apiService = {
     },
 
     logout() {
-      clearToken();
-      window.location.href = "/pages/login.html";
+      session.logout();
     }
   },
 
   // User APIs
   users: {
+    // Queued while offline; a later edit replaces an earlier queued one
     updateProfile(payload) {
       return request("/api/users/me", {
         method: "PUT",
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        queue: { kind: "profile.update", key: "profile", label: "Profile changes" }
       });
     },
 
@@ -98,15 +200,48 @@ const apiService = {
 
   // Task APIs
   tasks: {
+    // payload: { title, description, coins, category, tags, attachments, slots,
+    //   acceptApplications, milestones, deadline, autoReturn }
+    // attachments: ids from attachments.upload() - reference files for workers
+    // acceptApplications: workers apply and the poster picks one, instead of
+    // the first worker to click getting the task
+    // slots: how many workers each do the task once; coins is the reward per
+    // slot and coins * slots is escrowed up front
+    // milestones: [{ title, coins }] whose coins add up to the reward; each is
+    // submitted and paid out on its own
+    // deadline: optional ISO date; with autoReturn, an assigned task whose
+    // worker misses it goes back to open (the server runs the expiry)
+    // Queued while offline - the coins are escrowed when it syncs
     create(payload) {
       return request("/api/tasks", {
         method: "POST",
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        queue: { kind: "task.create", label: payload.title }
       });
     },
 
-    getAll() {
-      return request("/api/tasks");
+    // query: { status, q, category, tags, minCoins, maxCoins, owner, sort, cursor, limit }
+    // tags: array (sent comma-separated); matches tasks with any of them
+    // sort: "newest" | "oldest" | "coins_desc" | "coins_asc" | "deadline"
+    // Responds with { tasks, nextCursor }; nextCursor is null on the last page
+    getAll(query = {}) {
+      return request(`/api/tasks${buildQuery(query)}`);
+    },
+
+    // Responds with { task }: owner/assignedTo populated, assignedAt/submittedAt/
+    // completedAt timestamps, submissionNotes and the approval review when present.
+    // Files are { _id, name, size, type, url }: the poster's on attachments, the
+    // worker's on submissionAttachments (also on each slot and milestone).
+    // Tasks accepting applications also carry applicationCount and the viewer's
+    // own myApplication; the poster gets the full applications list instead.
+    // Multi-slot tasks carry filledSlots and assignments:
+    // [{ _id, worker, status, submissionNotes, revisions, assignedAt, submittedAt }]
+    // (the worker's own slot as myAssignment). The task stays open until every
+    // slot is taken and completes once every slot is approved.
+    // Milestone tasks carry milestones: [{ _id, title, coins, status:
+    // "pending" | "submitted" | "approved", submissionNotes, submittedAt, approvedAt }]
+    getById(taskId) {
+      return request(`/api/tasks/${taskId}`);
     },
 
     getPosted() {
@@ -123,21 +258,286 @@ const apiService = {
       });
     },
 
-    submit(taskId) {
-      return request(`/api/tasks/submit/${taskId}`, {
+    // Apply for a task that accepts applications
+    // payload: { pitch, coins } - coins is an optional counter-offer
+    apply(taskId, payload) {
+      return request(`/api/tasks/apply/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    // Poster picks an applicant; the task is assigned to them. A counter-offer
+    // becomes the reward and the difference moves in or out of escrow.
+    // Applications: { _id, applicant: { _id, name, rating }, pitch, coins, createdAt }
+    acceptApplication(taskId, applicationId) {
+      return request(`/api/tasks/accept-application/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify({ applicationId })
+      });
+    },
+
+    // payload: { title, description, coins, deadline, autoReturn } - open tasks
+    // only; a coin change moves the difference in or out of escrow.
+    // deadline: null clears it
+    update(taskId, payload) {
+      return request(`/api/tasks/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    // Poster withdraws an open task; the escrowed coins are refunded
+    cancel(taskId) {
+      return request(`/api/tasks/cancel/${taskId}`, {
+        method: "PUT"
+      });
+    },
+
+    // Poster releases the worker; the task goes back to open
+    // payload: { reason }
+    unassign(taskId, payload = {}) {
+      return request(`/api/tasks/unassign/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    // Worker backs out of an assigned task; the task goes back to open
+    withdraw(taskId) {
+      return request(`/api/tasks/withdraw/${taskId}`, {
         method: "PUT"
       });
     },
 
-    approve(taskId) {
+    // payload: { notes, attachments } - attachments: ids from attachments.upload()
+    // Queued while offline; resubmitting before it syncs replaces it
+    submit(taskId, payload = {}) {
+      return request(`/api/tasks/submit/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify(payload),
+        queue: { kind: "task.submit", ref: taskId, key: `submit:${taskId}`, label: "Work submission" }
+      });
+    },
+
+    // Worker submits one milestone of an assigned task
+    // payload: { milestoneId, notes, attachments }
+    // Queued while offline, like submit()
+    submitMilestone(taskId, payload) {
+      return request(`/api/tasks/submit-milestone/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify(payload),
+        queue: {
+          kind: "task.submit",
+          ref: taskId,
+          key: `submit:${taskId}:${payload.milestoneId}`,
+          label: "Milestone submission"
+        }
+      });
+    },
+
+    // Poster approves a submitted milestone, releasing its share of the reward.
+    // The last milestone is approved through approve() with its milestoneId so
+    // the worker gets rated
+    approveMilestone(taskId, milestoneId) {
+      return request(`/api/tasks/approve-milestone/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify({ milestoneId })
+      });
+    },
+
+    // Poster sends submitted work back to the worker (status -> assigned)
+    // payload: { reason, assignmentId } - assignmentId picks the slot on
+    // multi-slot tasks. The round is appended to task.revisions as
+    // { notes, attachments, submittedAt, feedback, requestedAt }
+    requestChanges(taskId, payload) {
+      return request(`/api/tasks/request-changes/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    // payload: { rating, review, assignmentId, milestoneId } - assignmentId
+    // picks the slot on multi-slot tasks (only that slot's reward is released);
+    // milestoneId approves the final milestone of a milestone task
+    approve(taskId, payload = {}) {
       return request(`/api/tasks/approve/${taskId}`, {
+        method: "PUT",
+        body: JSON.stringify(payload)
+      });
+    }
+  },
+
+  // Attachment APIs
+  // Files are uploaded on their own first; tasks and submissions then
+  // reference them by id. Uploads nothing references are discarded by the server.
+  attachments: {
+    // options: { onProgress(fraction) }
+    // Responds with { attachment: { _id, name, size, type, url } }
+    upload(file, options = {}) {
+      const formData = new FormData();
+      formData.append("file", file);
+      return upload("/api/attachments", formData, options);
+    }
+  },
+
+  // Message APIs
+  // One thread per task between the poster and its worker(s), open once the
+  // task has been assigned. Messages: { _id, author: { _id, name }, body,
+  // createdAt }
+  messages: {
+    // query: { after, limit } - after: id of the newest message already shown,
+    // so polls only return what's new
+    // Responds with { messages } oldest first
+    getThread(taskId, query = {}) {
+      return request(`/api/messages/task/${taskId}${buildQuery(query)}`);
+    },
+
+    // payload: { body }
+    // Responds with { message }
+    send(taskId, payload) {
+      return request(`/api/messages/task/${taskId}`, {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    // Mark every message in the task's thread as read by the current user
+    markRead(taskId) {
+      return request(`/api/messages/read/${taskId}`, {
         method: "PUT"
       });
+    },
+
+    // Responds with { posted, assigned, tasks: { [taskId]: count } } - unread
+    // messages on tasks the user posted / works on, and per task
+    getUnreadCounts() {
+      return request("/api/messages/unread");
+    }
+  },
+
+  // Live event APIs
+  // Events: { id, type, task, actor: { _id, name }, worker, createdAt }
+  // task: the whole task for task.created, otherwise _id, title, owner and the
+  // fields that changed. worker: the slot's worker on multi-slot tasks
+  // type: "task.created" | "task.assigned" | "task.submitted" | "task.approved"
+  //   (the server may add more; unknown types should be ignored)
+  events: {
+    // Server-sent events, one JSON event per message. since: id of the last
+    // event seen, so a reconnect replays what was missed
+    // Resolves with the EventSource - the caller owns reconnecting and closing
+    // it. Every connection needs a new ticket, so reconnect through here.
+    async stream(query = {}) {
+      const { ticket } = await apiService.events.getStreamTicket();
+      return openEventStream("/api/events/stream", { ...query, ticket });
+    },
+
+    // Swaps the JWT for a stream ticket: { ticket }, single use and valid for
+    // a few seconds, so one read from a log can't be replayed
+    getStreamTicket() {
+      return request("/api/events/ticket", { method: "POST" });
+    },
+
+    // Polling fallback for when the stream can't be held open
+    // query: { since } - without it, responds with no events and the current cursor
+    // Responds with { events, cursor } oldest first
+    getRecent(query = {}) {
+      return request(`/api/events${buildQuery(query)}`);
+    }
+  },
+
+  // Notification APIs
+  // Notifications: { _id, type, task: { _id, title }, actor: { _id, name },
+  //   rating, read, createdAt }
+  // type: "task.assigned" | "task.submitted" | "task.approved" |
+  //   "task.changes_requested" | "review.received" | "message.received"
+  //   (the server may add more; unknown types still carry a `text` fallback)
+  notifications: {
+    // query: { unread, cursor, limit } - unread: true for unread only
+    // Responds with { notifications, nextCursor, unread }, newest first
+    list(query = {}) {
+      return request(`/api/notifications${buildQuery(query)}`);
+    },
+
+    // Responds with { unread }
+    getUnreadCount() {
+      return request("/api/notifications/unread");
+    },
+
+    // Responds with { unread }
+    markRead(notificationId) {
+      return request(`/api/notifications/read/${notificationId}`, {
+        method: "PUT"
+      });
+    },
+
+    // Responds with { unread } (0)
+    markAllRead() {
+      return request("/api/notifications/read-all", {
+        method: "PUT"
+      });
+    },
+
+    // Responds with { preferences: { [type]: { inApp, push, email } } } for
+    // the types the user can choose; types missing from it use the defaults
+    getPreferences() {
+      return request("/api/notifications/preferences");
+    },
+
+    // payload: { preferences } - same shape as getPreferences()
+    updatePreferences(payload) {
+      return request("/api/notifications/preferences", {
+        method: "PUT",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    // Sends a test notification through every channel the saved preferences
+    // turn on for any type. Responds with { sent: ["inApp" | "push" | "email"] }
+    sendTest() {
+      return request("/api/notifications/test", {
+        method: "POST"
+      });
+    },
+
+    // Responds with { publicKey } - the VAPID key push subscriptions are made with
+    getPushKey() {
+      return request("/api/notifications/push/key");
+    },
+
+    // payload: PushSubscription.toJSON() - { endpoint, keys: { p256dh, auth } }
+    // One per device; subscribing again with the same endpoint replaces it
+    subscribePush(payload) {
+      return request("/api/notifications/push/subscribe", {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    // payload: { endpoint }
+    unsubscribePush(payload) {
+      return request("/api/notifications/push/unsubscribe", {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+    }
+  },
+
+  // Outbox APIs
+  outbox: {
+    // Send a change queued by request() while offline, exactly as it was made.
+    // Not queued again - a failure is the caller's to handle
+    replay(entry) {
+      return request(entry.endpoint, {
+        method: entry.method,
+        body: entry.body
+      });
     }
   },
 
   // Review APIs
   reviews: {
+    // payload: { taskId, revieweeId, rating, comment }
     give(payload) {
       return request("/api/reviews", {
         method: "POST",
@@ -148,6 +548,75 @@ const apiService = {
     getUserReviews(userId) {
       return request(`/api/reviews/user/${userId}`);
     }
+  },
+
+  // Wallet APIs
+  wallet: {
+    // Responds with { available, escrowed } - escrowed coins back open tasks
+    getSummary() {
+      return request("/api/wallet");
+    },
+
+    // query: { type, cursor, limit }
+    // Responds with { transactions, nextCursor }, newest first. Each entry:
+    // { type: "grant" | "escrow" | "release" | "refund" | "transfer" | "tip",
+    //   amount (signed), balanceAfter, task: { _id, title },
+    //   counterparty: { _id, name }, memo, createdAt }
+    getTransactions(query = {}) {
+      return request(`/api/wallet/transactions${buildQuery(query)}`);
+    },
+
+    // payload: { recipientId, amount, memo, taskId }
+    // taskId marks the transfer as a tip for that task
+    // Responds with { transaction, available }
+    transfer(payload) {
+      return request("/api/wallet/transfer", {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+    }
+  },
+
+  // Dispute APIs
+  // A dispute freezes the task (status "disputed") and its escrow until an
+  // arbitrator resolves it with outcome { decision: "full" | "partial" | "none",
+  // workerAmount, refundAmount, note, resolvedAt }
+  disputes: {
+    // payload: { taskId, reason, evidence }
+    open(payload) {
+      return request("/api/disputes", {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    getById(disputeId) {
+      return request(`/api/disputes/${disputeId}`);
+    },
+
+    getByTask(taskId) {
+      return request(`/api/disputes/task/${taskId}`);
+    },
+
+    getMine() {
+      return request("/api/disputes/my");
+    },
+
+    // payload: { body }
+    addMessage(disputeId, payload) {
+      return request(`/api/disputes/${disputeId}/messages`, {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+    },
+
+    // payload: { description, url }
+    addEvidence(disputeId, payload) {
+      return request(`/api/disputes/${disputeId}/evidence`, {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+    }
   }
 };
 
@@ -0,0 +1,271 @@
+/**
+ * App Shell Module
+ * Sidebar, bottom navigation and the shared current-user store
+ */
+
+import apiService from './api.js';
+import session from './session.js';
+import utils from './utils.js';
+
+// Cached profile lives for the tab session, keyed to the token it was fetched with
+const USER_CACHE_KEY = 'current_user';
+const USER_CACHE_TTL = 5 * 60 * 1000;
+
+const ICONS = {
+  dashboard: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/></svg>',
+  browse: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="21" y2="18"/><line x1="3" y1="6" x2="3.01" y2="6"/><line x1="3" y1="12" x2="3.01" y2="12"/><line x1="3" y1="18" x2="3.01" y2="18"/></svg>',
+  post: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>',
+  tasks: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="7" width="20" height="14" rx="2" ry="2"/><path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"/></svg>',
+  notifications: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/><path d="M13.73 21a2 2 0 0 1-3.46 0"/></svg>',
+  wallet: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="5" width="20" height="14" rx="2"/><path d="M16 12h2"/><path d="M2 9h20"/></svg>',
+  profile: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>',
+  settings: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M12 1v6m0 6v6m7.071-13.071l-4.243 4.243m-5.656 0L4.93 4.93m0 14.14l4.243-4.242m5.656 0l4.243 4.243"/></svg>',
+};
+
+/**
+ * Navigation items, in display order
+ * `page` is matched against each view's `nav`; `mobile: false` keeps an item out of the bottom nav;
+ * `badge` adds a hidden count pill (data-nav-badge) for another module to fill in
+ */
+const NAV_ITEMS = [
+  { page: 'dashboard', href: '#/dashboard', label: 'Dashboard', shortLabel: 'Home', icon: ICONS.dashboard },
+  { page: 'browse-tasks', href: '#/browse-tasks', label: 'Browse Tasks', shortLabel: 'Browse', icon: ICONS.browse },
+  { page: 'post-task', href: '#/post-task', label: 'Post Task', shortLabel: 'Post', icon: ICONS.post },
+  { page: 'my-tasks', href: '#/my-tasks', label: 'My Tasks', shortLabel: 'Tasks', icon: ICONS.tasks },
+  { page: 'notifications', href: '#/notifications', label: 'Notifications', shortLabel: 'Alerts', icon: ICONS.notifications, badge: 'notifications' },
+  { page: 'wallet', href: '#/wallet', label: 'Wallet', shortLabel: 'Wallet', icon: ICONS.wallet, mobile: false },
+  { page: 'profile', href: '#/profile', label: 'Profile', shortLabel: 'Profile', icon: ICONS.profile },
+  { page: 'settings', href: '#/settings', label: 'Settings', shortLabel: 'Settings', icon: ICONS.settings, mobile: false },
+];
+
+/**
+ * Current user store
+ * Fetches the profile once and shares it with every subscriber on the page
+ */
+const currentUser = {
+  value: null,
+  listeners: new Set(),
+  pending: null,
+
+  /**
+   * Get the cached user (may be null before load)
+   * @returns {object|null} User
+   */
+  get() {
+    return this.value;
+  },
+
+  /**
+   * Subscribe to user changes; called immediately if a user is already loaded
+   * @param {Function} listener - Receives the user object
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (this.value) listener(this.value);
+    return () => this.listeners.delete(listener);
+  },
+
+  /**
+   * Replace the user and notify subscribers
+   * @param {object} user - User object from the API
+   */
+  set(user) {
+    this.value = user;
+
+    try {
+      sessionStorage.setItem(USER_CACHE_KEY, JSON.stringify({
+        token: session.getToken(),
+        savedAt: Date.now(),
+        user,
+      }));
+    } catch (err) {
+      // Storage full or disabled - the in-memory copy is enough
+    }
+
+    this.listeners.forEach(listener => listener(user));
+  },
+
+  /**
+   * Merge partial changes (e.g. a new coin balance) into the user
+   * @param {object} changes - Fields to update
+   */
+  update(changes) {
+    if (!this.value) return;
+    this.set({ ...this.value, ...changes });
+  },
+
+  /**
+   * Load the user from cache or the API
+   * @param {object} options - { force: skip the cache }
+   * @returns {Promise<object>} User
+   */
+  async load({ force = false } = {}) {
+    if (!force) {
+      if (this.value) return this.value;
+
+      const cached = readCachedUser();
+      if (cached) {
+        this.set(cached);
+        return cached;
+      }
+    }
+
+    // Share one request between concurrent callers
+    if (!this.pending) {
+      this.pending = apiService.auth.getProfile()
+        .then(response => {
+          const user = response.user || response;
+          this.set(user);
+          return user;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    return this.pending;
+  },
+
+  /**
+   * Re-fetch the user, e.g. after an action that moved coins
+   * @returns {Promise<object>} User
+   */
+  refresh() {
+    return this.load({ force: true });
+  },
+
+  /**
+   * Forget the cached user
+   */
+  clear() {
+    this.value = null;
+    sessionStorage.removeItem(USER_CACHE_KEY);
+  },
+};
+
+/**
+ * Read the cached user if it belongs to the current token and is still fresh
+ * @returns {object|null} User
+ */
+function readCachedUser() {
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(USER_CACHE_KEY));
+    if (!cached || cached.token !== session.getToken()) return null;
+    if (Date.now() - cached.savedAt > USER_CACHE_TTL) return null;
+    return cached.user;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Count pill for a nav item with a `badge`, hidden until there's something to count
+ * @param {object} item - Nav item
+ * @returns {string} HTML string
+ */
+function renderNavBadge(item) {
+  if (!item.badge) return '';
+  return `<span class="unread-count nav-badge hidden" data-nav-badge="${item.badge}">0</span>`;
+}
+
+const appShell = {
+  currentUser,
+
+  /**
+   * Render the sidebar and bottom navigation into the page's .app-layout
+   * and start loading the current user. Called once; views swap in and out of <main>.
+   */
+  mount() {
+    const layout = document.querySelector('.app-layout');
+    if (!layout) return;
+
+    layout.insertAdjacentHTML('afterbegin', this.renderSidebar());
+    layout.insertAdjacentHTML('beforeend', this.renderBottomNav());
+
+    const userInfo = layout.querySelector('#sidebarUserInfo');
+    currentUser.subscribe(user => {
+      userInfo.innerHTML = this.renderUserBadge(user);
+    });
+
+    currentUser.load().catch(error => {
+      console.error('Failed to load user profile:', error);
+    });
+  },
+
+  /**
+   * Highlight the nav item for the current view
+   * @param {string|null} page - Nav item `page`, or null to clear
+   */
+  setActive(page) {
+    utils.setActiveNav(page);
+  },
+
+  /**
+   * Sidebar markup (desktop)
+   * @returns {string} HTML string
+   */
+  renderSidebar() {
+    return `
+      <aside class="sidebar">
+        <div class="sidebar-header">
+          <h1 class="sidebar-logo">WorkExchange</h1>
+        </div>
+
+        <nav class="sidebar-nav">
+          ${NAV_ITEMS.map(item => `
+            <a href="${item.href}" class="sidebar-item">
+              ${item.icon}
+              <span>${item.label}</span>
+              ${renderNavBadge(item)}
+            </a>
+          `).join('')}
+        </nav>
+
+        <div class="sidebar-footer">
+          <div id="sidebarUserInfo" class="user-info">
+            <div class="skeleton skeleton-avatar"></div>
+            <div class="skeleton skeleton-text" style="width: 100px;"></div>
+          </div>
+        </div>
+      </aside>
+    `;
+  },
+
+  /**
+   * Bottom navigation markup (mobile)
+   * @returns {string} HTML string
+   */
+  renderBottomNav() {
+    return `
+      <nav class="bottom-nav">
+        ${NAV_ITEMS.filter(item => item.mobile !== false).map(item => `
+          <a href="${item.href}" class="nav-item">
+            ${item.icon}
+            <span>${item.shortLabel}</span>
+            ${renderNavBadge(item)}
+          </a>
+        `).join('')}
+      </nav>
+    `;
+  },
+
+  /**
+   * Avatar, name and coin balance shown in the sidebar footer
+   * @param {object} user - Current user
+   * @returns {string} HTML string
+   */
+  renderUserBadge(user) {
+    return `
+      <a href="#/profile" class="user-badge">
+        <div class="user-avatar avatar-sm">${utils.getInitials(user.name)}</div>
+        <div class="flex-1" style="min-width: 0;">
+          <div class="user-badge-name">${utils.sanitizeHTML(user.name)}</div>
+          <div class="text-xs text-secondary">${utils.formatNumber(user.coins || 0)} coins</div>
+        </div>
+      </a>
+    `;
+  },
+};
+
+export default appShell;
@@ -0,0 +1,48 @@
+import utils from './utils.js';
+import uiComponents from './components.js';
+import appShell from './app-shell.js';
+import live from './live.js';
+import notifications from './notifications.js';
+import offline from './offline.js';
+import router from './router.js';
+import dashboardView from './views/dashboard.js';
+import browseTasksView from './views/browse-tasks.js';
+import postTaskView from './views/post-task.js';
+import myTasksView from './views/my-tasks.js';
+import profileView from './views/profile.js';
+import userProfileView from './views/user-profile.js';
+import settingsView from './views/settings.js';
+import taskView from './views/task.js';
+import disputeView from './views/dispute.js';
+import walletView from './views/wallet.js';
+import notificationsView from './views/notifications.js';
+
+// Check authentication - redirect to login (and back to this route) if not authenticated
+if (utils.requireAuth()) {
+  appShell.mount();
+  offline.start();
+  live.start();
+  notifications.start();
+
+  // The first route is also where unknown paths land
+  router
+    .register('/dashboard', dashboardView)
+    .register('/browse-tasks', browseTasksView)
+    .register('/post-task', postTaskView)
+    .register('/my-tasks', myTasksView)
+    .register('/profile', profileView)
+    .register('/users/:id', userProfileView)
+    .register('/tasks/:id', taskView)
+    .register('/disputes/:id', disputeView)
+    .register('/wallet', walletView)
+    .register('/notifications', notificationsView)
+    .register('/settings', settingsView);
+
+  router.start({
+    outlet: document.getElementById('view'),
+    onChange: ({ view }) => {
+      uiComponents.modal.closeAll();
+      appShell.setActive(view.nav);
+    },
+  });
+}
@@ -0,0 +1,278 @@
+/**
+ * Attachments Module
+ * Drag-and-drop file uploads for task and submission forms, and attachment lists with image previews
+ */
+
+import apiService from './api.js';
+import utils from './utils.js';
+import uiComponents from './components.js';
+
+const MAX_FILES = 5;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Checked by extension - browsers leave file.type empty for some formats
+const ALLOWED_EXTENSIONS = [
+  'png', 'jpg', 'jpeg', 'gif', 'webp',
+  'pdf', 'txt', 'md', 'csv',
+  'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+  'zip',
+];
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+
+/**
+ * Lower-case extension of a file name
+ * @param {string} name - File name
+ * @returns {string} Extension without the dot ('' if none)
+ */
+function extensionOf(name) {
+  const match = /\.([^.]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Paperclip icon for files without a preview
+const FILE_ICON = `
+  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+    <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/>
+  </svg>
+`;
+
+let nextKey = 0;
+
+const attachments = {
+  MAX_FILES,
+  MAX_FILE_SIZE,
+
+  /**
+   * Human-readable file size
+   * @param {number} bytes - Size in bytes
+   * @returns {string} e.g. "2.4 MB"
+   */
+  formatSize(bytes = 0) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  },
+
+  /**
+   * Whether an attachment (or file) is an image we can preview
+   * @param {object} attachment - { name, type }
+   * @returns {boolean}
+   */
+  isImage(attachment) {
+    return (attachment.type || '').startsWith('image/') || IMAGE_EXTENSIONS.includes(extensionOf(attachment.name));
+  },
+
+  /**
+   * Check a file before uploading it
+   * @param {File} file - Picked or dropped file
+   * @returns {string|null} Error message, or null if the file is fine
+   */
+  validate(file) {
+    if (!ALLOWED_EXTENSIONS.includes(extensionOf(file.name))) {
+      return `${file.name}: this file type isn't supported`;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      return `${file.name} is larger than ${this.formatSize(MAX_FILE_SIZE)}`;
+    }
+    if (file.size === 0) {
+      return `${file.name} is empty`;
+    }
+    return null;
+  },
+
+  /**
+   * List of uploaded attachments: images as thumbnails, other files as links
+   * @param {object[]} files - Attachments ({ name, size, type, url })
+   * @param {object} options - { label: heading shown above the list }
+   * @returns {string} HTML string ('' when there are none)
+   */
+  renderList(files = [], options = {}) {
+    const { label = 'Attachments' } = options;
+    if (!files.length) return '';
+
+    return `
+      <div class="attachment-list">
+        <div class="submission-notes-label">${utils.sanitizeHTML(label)} · ${files.length}</div>
+        ${files.map(file => {
+          // Attachment URLs come from the server and may be relative to it
+          const url = utils.safeUrl(file.url, { relative: true });
+          const name = file.name || 'Attachment';
+          const open = url ? `href="${utils.escapeAttribute(url)}" target="_blank" rel="noopener noreferrer"` : '';
+
+          return `
+            <a class="attachment-item" ${open} title="${utils.escapeAttribute(name)}">
+              ${url && this.isImage(file)
+                ? `<img class="attachment-thumb" src="${utils.escapeAttribute(url)}" alt="${utils.escapeAttribute(name)}" loading="lazy">`
+                : `<span class="attachment-icon">${FILE_ICON}</span>`}
+              <span class="attachment-name">${utils.sanitizeHTML(name)}</span>
+              ${file.size ? `<span class="text-xs text-secondary">${this.formatSize(file.size)}</span>` : ''}
+            </a>
+          `;
+        }).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * Drop zone markup; pair with mountDropzone once it's in the DOM
+   * @param {string} prefix - Id prefix, so a form and a modal can both have one
+   * @returns {string} HTML string
+   */
+  renderDropzone(prefix) {
+    return `
+      <div class="form-group">
+        <label class="form-label" for="${prefix}Files">Attachments</label>
+        <div class="dropzone" id="${prefix}Dropzone">
+          <input type="file" id="${prefix}Files" class="hidden" multiple accept="${ALLOWED_EXTENSIONS.map(ext => `.${ext}`).join(',')}">
+          <p class="text-sm">
+            Drag files here or <button type="button" class="btn btn-ghost btn-sm p-0" data-browse>browse</button>
+          </p>
+          <p class="text-xs text-secondary">
+            Up to ${MAX_FILES} files, ${this.formatSize(MAX_FILE_SIZE)} each · images, PDF, text, Office documents, zip
+          </p>
+        </div>
+        <div class="upload-list" id="${prefix}Uploads"></div>
+      </div>
+    `;
+  },
+
+  /**
+   * Wire up a drop zone: validate picked / dropped files and upload each one
+   * straight away, showing its progress
+   * @param {HTMLElement} root - Element containing the renderDropzone markup
+   * @param {string} prefix - Id prefix passed to renderDropzone
+   * @returns {object} { getIds(), isUploading(), destroy() }
+   */
+  mountDropzone(root, prefix) {
+    const dropzone = root.querySelector(`#${prefix}Dropzone`);
+    const fileInput = root.querySelector(`#${prefix}Files`);
+    const uploadList = root.querySelector(`#${prefix}Uploads`);
+    // { key, file, preview, status: 'uploading' | 'done' | 'error', progress, attachment, error }
+    let items = [];
+
+    const render = () => {
+      uploadList.innerHTML = items.map(item => `
+        <div class="upload-item ${item.status}">
+          ${item.preview
+            ? `<img class="attachment-thumb" src="${item.preview}" alt="">`
+            : `<span class="attachment-icon">${FILE_ICON}</span>`}
+          <div class="flex-1" style="min-width: 0;">
+            <div class="attachment-name">${utils.sanitizeHTML(item.file.name)}</div>
+            ${item.status === 'uploading' ? `
+              <div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(item.progress * 100)}">
+                <div class="progress-bar" style="width: ${Math.round(item.progress * 100)}%;"></div>
+              </div>
+            ` : item.status === 'error' ? `
+              <div class="text-xs text-error">${utils.sanitizeHTML(item.error)}</div>
+            ` : `
+              <div class="text-xs text-secondary">${this.formatSize(item.file.size)}</div>
+            `}
+          </div>
+          <button type="button" class="btn btn-ghost btn-sm" data-remove-upload="${item.key}" aria-label="Remove ${utils.escapeAttribute(item.file.name)}">&times;</button>
+        </div>
+      `).join('');
+    };
+
+    const start = async (item) => {
+      try {
+        const response = await apiService.attachments.upload(item.file, {
+          onProgress: (fraction) => {
+            item.progress = fraction;
+            render();
+          },
+        });
+        item.attachment = response.attachment || response;
+        item.status = 'done';
+      } catch (error) {
+        console.error('Failed to upload attachment:', error);
+        item.status = 'error';
+        item.error = utils.parseError(error);
+      }
+      // Removed while uploading - the server discards the orphaned file
+      if (items.includes(item)) render();
+    };
+
+    const addFiles = (fileList) => {
+      Array.from(fileList).forEach(file => {
+        if (items.length >= MAX_FILES) {
+          uiComponents.toast.error(`Up to ${MAX_FILES} files`);
+          return;
+        }
+
+        const error = this.validate(file);
+        if (error) {
+          uiComponents.toast.error(error);
+          return;
+        }
+
+        const item = {
+          key: String(++nextKey),
+          file,
+          preview: this.isImage(file) ? URL.createObjectURL(file) : null,
+          status: 'uploading',
+          progress: 0,
+        };
+        items.push(item);
+        start(item);
+      });
+      render();
+    };
+
+    // Browse
+    dropzone.querySelector('[data-browse]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      addFiles(fileInput.files);
+      fileInput.value = '';
+    });
+
+    // Drag and drop
+    ['dragenter', 'dragover'].forEach(type => dropzone.addEventListener(type, (e) => {
+      e.preventDefault();
+      dropzone.classList.add('dragover');
+    }));
+    dropzone.addEventListener('dragleave', (e) => {
+      if (!dropzone.contains(e.relatedTarget)) dropzone.classList.remove('dragover');
+    });
+    dropzone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropzone.classList.remove('dragover');
+      if (e.dataTransfer?.files?.length) addFiles(e.dataTransfer.files);
+    });
+
+    // Remove
+    uploadList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-remove-upload]');
+      if (!btn) return;
+
+      const item = items.find(i => i.key === btn.dataset.removeUpload);
+      if (item?.preview) URL.revokeObjectURL(item.preview);
+      items = items.filter(i => i !== item);
+      render();
+    });
+
+    return {
+      /**
+       * Ids of the files that finished uploading
+       * @returns {string[]}
+       */
+      getIds: () => items.filter(item => item.status === 'done').map(item => item.attachment._id),
+
+      /**
+       * Whether any file is still uploading
+       * @returns {boolean}
+       */
+      isUploading: () => items.some(item => item.status === 'uploading'),
+
+      /**
+       * Release image previews
+       */
+      destroy: () => {
+        items.forEach(item => item.preview && URL.revokeObjectURL(item.preview));
+        items = [];
+      },
+    };
+  },
+};
+
+export default attachments;
@@ -3,6 +3,8 @@
  * Reusable UI components (Toast, Modal, Skeleton loaders, etc.)
  */
 
+import utils from './utils.js';
+
 const uiComponents = {
   /**
    * Toast notification system
@@ -108,6 +110,9 @@ const uiComponents = {
    * Modal system
    */
   modal: {
+    // Close functions of the modals currently on screen
+    openModals: new Set(),
+
     /**
      * Show modal
      * @param {object} options - Modal options
@@ -152,6 +157,8 @@ const uiComponents = {
 
       // Close handlers
       const closeModal = () => {
+        if (!this.openModals.delete(closeModal)) return;
+        document.removeEventListener('keydown', escHandler);
         document.body.style.overflow = '';
         backdrop.style.animation = 'fadeOut 0.2s ease-in-out';
         setTimeout(() => {
@@ -179,14 +186,21 @@ const uiComponents = {
       const escHandler = (e) => {
         if (e.key === 'Escape') {
           closeModal();
-          document.removeEventListener('keydown', escHandler);
         }
       };
       document.addEventListener('keydown', escHandler);
+      this.openModals.add(closeModal);
 
       return { backdrop, modal, close: closeModal };
     },
 
+    /**
+     * Close every open modal (e.g. when the route changes underneath them)
+     */
+    closeAll() {
+      this.openModals.forEach(close => close());
+    },
+
     /**
      * Show confirmation modal
      * @param {object} options - Confirmation options
@@ -212,6 +226,8 @@ const uiComponents = {
           content: `<p>${utils.sanitizeHTML(message)}</p>`,
           footer,
           closeOnBackdrop: false,
+          // Closing via the X, Escape or a route change counts as cancel
+          onClose: () => resolve(false),
         });
 
         // Handle button clicks
@@ -402,7 +418,4 @@ const uiComponents = {
   },
 };
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = uiComponents;
-}
+export default uiComponents;
@@ -0,0 +1,132 @@
+// ===============================
+// ENVIRONMENT PROFILES
+// ===============================
+// Edit DEFAULT_PROFILE (or the URLs below) to change where a deployment points.
+const PROFILES = {
+  local: {
+    label: "Local",
+    apiBase: "http://localhost:5000"
+  },
+  staging: {
+    label: "Staging",
+    apiBase: "https://workbackend-staging.onrender.com"
+  },
+  prod: {
+    label: "Production",
+    apiBase: "https://workbackend-egr6.onrender.com"
+  }
+};
+
+const DEFAULT_PROFILE = "prod";
+
+// Where the dev switcher / ?api= override is remembered between pages
+const OVERRIDE_KEY = "api_override";
+
+const DEV_HOSTS = ["localhost", "127.0.0.1", "0.0.0.0"];
+
+// ===============================
+// HELPERS
+// ===============================
+const readMeta = (name) =>
+  document.querySelector(`meta[name="${name}"]`)?.getAttribute("content")?.trim() || "";
+
+const isDevHost = () =>
+  DEV_HOSTS.includes(window.location.hostname) ||
+  window.location.hostname.endsWith(".local") ||
+  readMeta("workexchange:env") === "development";
+
+// Accepts a profile name or an absolute http(s) URL
+function resolveTarget(value) {
+  if (!value) return null;
+
+  if (PROFILES[value]) {
+    return { profile: value, apiBase: PROFILES[value].apiBase };
+  }
+
+  try {
+    const url = new URL(value);
+    if (url.protocol === "http:" || url.protocol === "https:") {
+      return { profile: "custom", apiBase: url.origin + url.pathname.replace(/\/+$/, "") };
+    }
+  } catch {
+    // Not a URL - fall through
+  }
+
+  return null;
+}
+
+function readOverride() {
+  try {
+    return localStorage.getItem(OVERRIDE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+// ===============================
+// RESOLUTION
+// ===============================
+// Order of precedence (first match wins):
+//   1. ?api=<profile|url> query param  (dev hosts only, remembered)
+//   2. value saved by the dev switcher (dev hosts only)
+//   3. window.WORKEXCHANGE_CONFIG = { api: "<profile|url>" }
+//   4. <meta name="workexchange:api" content="<profile|url>">
+//   5. DEFAULT_PROFILE
+// Runtime overrides are limited to dev hosts so a crafted link can't send
+// production tokens to another server.
+function resolveConfig() {
+  const devMode = isDevHost();
+
+  if (devMode) {
+    const param = new URLSearchParams(window.location.search).get("api");
+    if (param === "reset") {
+      localStorage.removeItem(OVERRIDE_KEY);
+    } else if (resolveTarget(param)) {
+      localStorage.setItem(OVERRIDE_KEY, param);
+    }
+
+    const override = resolveTarget(readOverride());
+    if (override) return { ...override, source: "override", isDev: devMode };
+  }
+
+  const globalTarget = resolveTarget(window.WORKEXCHANGE_CONFIG?.api);
+  if (globalTarget) return { ...globalTarget, source: "global", isDev: devMode };
+
+  const metaTarget = resolveTarget(readMeta("workexchange:api"));
+  if (metaTarget) return { ...metaTarget, source: "meta", isDev: devMode };
+
+  return { ...resolveTarget(DEFAULT_PROFILE), source: "default", isDev: devMode };
+}
+
+const resolved = resolveConfig();
+
+// ===============================
+// PUBLIC CONFIG
+// ===============================
+const config = {
+  profiles: PROFILES,
+  profile: resolved.profile,
+  apiBase: resolved.apiBase,
+  source: resolved.source,
+  isDev: resolved.isDev,
+
+  // Human-readable name of the active backend
+  get profileLabel() {
+    return PROFILES[this.profile]?.label || "Custom";
+  },
+
+  // Persist a profile name or URL override and reload (dev hosts only)
+  setOverride(value) {
+    if (!this.isDev || !resolveTarget(value)) return false;
+    localStorage.setItem(OVERRIDE_KEY, value);
+    window.location.reload();
+    return true;
+  },
+
+  clearOverride() {
+    localStorage.removeItem(OVERRIDE_KEY);
+    window.location.reload();
+  }
+};
+
+export default config;
@@ -0,0 +1,6 @@
+import utils from './utils.js';
+
+// Redirect to dashboard if already logged in
+if (utils.isAuthenticated()) {
+  window.location.href = 'pages/app.html#/dashboard';
+}
@@ -0,0 +1,23 @@
+// ===============================
+// LEGACY PAGE REDIRECTS
+// ===============================
+// The old multi-page URLs (bookmarks, emailed links) now forward to the
+// matching route in the single-page app.
+const ROUTES = {
+  "dashboard.html": () => "/dashboard",
+  "browse-tasks.html": () => "/browse-tasks",
+  "post-task.html": () => "/post-task",
+  "create-task.html": () => "/post-task",
+  "my-tasks.html": () => "/my-tasks",
+  "profile.html": () => "/profile",
+  "settings.html": () => "/settings",
+  "user-profile.html": (params) =>
+    params.get("userId") ? `/users/${encodeURIComponent(params.get("userId"))}` : "/dashboard",
+  "task.html": (params) =>
+    params.get("id") ? `/tasks/${encodeURIComponent(params.get("id"))}` : "/browse-tasks"
+};
+
+const page = window.location.pathname.split("/").pop();
+const toRoute = ROUTES[page] || (() => "/dashboard");
+
+window.location.replace(`app.html#${toRoute(new URLSearchParams(window.location.search))}`);
@@ -0,0 +1,210 @@
+/**
+ * Live Updates Module
+ * Holds a server-sent event stream open (polling when it can't), passes task events to the
+ * views that subscribe and toasts the ones that concern the current user
+ */
+
+import apiService from './api.js';
+import uiComponents from './components.js';
+import appShell from './app-shell.js';
+
+// Reconnect delays double from the base up to the max
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+// After this many failed connections in a row, poll until the stream comes back
+const FALLBACK_AFTER_FAILURES = 3;
+const POLL_MS = 15 * 1000;
+
+// Event ids remembered to drop repeats (a reconnect or a poll can overlap the stream)
+const SEEN_LIMIT = 200;
+
+let running = false;
+let source = null;
+let retryTimer = null;
+let pollTimer = null;
+let failures = 0;
+// Id of the newest event seen - where a reconnect or poll picks up from
+let cursor = null;
+const seen = new Set();
+const listeners = new Set();
+
+/**
+ * Id of a user reference, which the API sends either populated or as a bare id
+ * @param {object|string} user - User object or id
+ * @returns {string|null} User id
+ */
+function userId(user) {
+  if (!user) return null;
+  return typeof user === 'string' ? user : user._id;
+}
+
+// Toast events about your tasks that someone else caused - your own actions
+// already confirm themselves
+function notify(event) {
+  const me = userId(appShell.currentUser.get());
+  if (!me || userId(event.actor) === me) return;
+
+  const task = event.task || {};
+  const title = task.title ? `"${task.title}"` : 'a task';
+  const actor = event.actor?.name || 'Someone';
+  const isOwner = userId(task.owner) === me;
+  // Slot events name the worker; otherwise it's the task's assignee
+  const isWorker = userId(event.worker || task.assignedTo) === me;
+
+  switch (event.type) {
+    case 'task.assigned':
+      if (isOwner) uiComponents.toast.info(`${actor} picked up ${title}`);
+      break;
+    case 'task.submitted':
+      if (isOwner) uiComponents.toast.info(`${actor} submitted work on ${title}`);
+      break;
+    case 'task.approved':
+      if (isWorker) {
+        uiComponents.toast.success(`${title} was approved - coins released`);
+        appShell.currentUser.refresh().catch(() => {});
+      }
+      break;
+  }
+}
+
+// Hand an event to the toasts and every subscriber, once
+function dispatch(event) {
+  if (!event?.type) return;
+
+  if (event.id) {
+    if (seen.has(event.id)) return;
+    seen.add(event.id);
+    if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+    cursor = event.id;
+  }
+
+  notify(event);
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Live update listener failed:', error);
+    }
+  });
+}
+
+// Fetch events since the cursor
+async function poll() {
+  try {
+    const response = await apiService.events.getRecent({ since: cursor });
+    if (!running) return;
+
+    (response.events || []).forEach(dispatch);
+    if (response.cursor) cursor = response.cursor;
+  } catch (error) {
+    console.error('Failed to poll for updates:', error);
+  }
+}
+
+function startPolling() {
+  if (pollTimer) return;
+  poll();
+  pollTimer = setInterval(() => {
+    if (document.visibilityState !== 'hidden') poll();
+  }, POLL_MS);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+// Back off and connect again, polling meanwhile once it keeps failing
+function retry() {
+  if (!running) return;
+  failures++;
+
+  if (failures >= FALLBACK_AFTER_FAILURES) startPolling();
+
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (failures - 1));
+  retryTimer = setTimeout(connect, delay + Math.random() * delay * 0.2);
+}
+
+// Open the stream (each connection fetches a fresh ticket first)
+async function connect() {
+  retryTimer = null;
+  if (!running) return;
+
+  if (typeof EventSource === 'undefined') {
+    startPolling();
+    return;
+  }
+
+  let stream;
+  try {
+    stream = await apiService.events.stream({ since: cursor });
+  } catch (error) {
+    // No ticket (offline, server down) counts as a failed connection
+    retry();
+    return;
+  }
+
+  // Stopped, or another connect() won, while the ticket was on its way
+  if (!running || source) {
+    stream.close();
+    return;
+  }
+  source = stream;
+
+  source.onopen = () => {
+    failures = 0;
+    stopPolling();
+  };
+
+  source.onmessage = (e) => {
+    try {
+      dispatch(JSON.parse(e.data));
+    } catch (error) {
+      console.error('Ignoring malformed live event:', error);
+    }
+  };
+
+  // EventSource would retry on its own at a fixed rate - take over with backoff
+  source.onerror = () => {
+    source.close();
+    source = null;
+    retry();
+  };
+}
+
+const live = {
+  /**
+   * Start receiving events. Called once by the app after sign-in checks.
+   */
+  start() {
+    if (running) return;
+    running = true;
+    failures = 0;
+    connect();
+  },
+
+  /**
+   * Close the stream and stop polling
+   */
+  stop() {
+    running = false;
+    if (source) source.close();
+    source = null;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    stopPolling();
+  },
+
+  /**
+   * Listen for task events
+   * @param {Function} listener - Called with each event ({ id, type, task, actor, worker, createdAt })
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default live;
@@ -1,9 +1,11 @@
 import apiService from './api.js';
+import session from './session.js';
+import utils from './utils.js';
+import uiComponents from './components.js';
 
-// Check if user is already logged in - redirect to dashboard if authenticated
-const token = localStorage.getItem('token');
-if (token) {
-  window.location.href = 'dashboard.html';
+// Check if user is already logged in - skip straight to where they were going
+if (session.isAuthenticated()) {
+  window.location.href = session.getReturnTo();
 }
 
 // Password toggle functionality
@@ -25,44 +27,10 @@ const emailInput = document.getElementById('email');
 const emailError = document.getElementById('emailError');
 const passwordError = document.getElementById('passwordError');
 
-// Utility functions
-function isValidEmail(email) {
-  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return re.test(email);
-}
-
-function showToast(message, type = 'success') {
-  const toast = document.createElement('div');
-  toast.className = `toast toast-${type}`;
-  toast.style.cssText = 'position: fixed; top: 20px; right: 20px; padding: 16px 24px; background: white; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.15); z-index: 10000; animation: slideIn 0.3s ease;';
-  
-  const color = type === 'success' ? '#10b981' : '#ef4444';
-  toast.innerHTML = `
-    <div style="display: flex; align-items: center; gap: 12px;">
-      <div style="width: 20px; height: 20px; border-radius: 50%; background: ${color};"></div>
-      <span style="color: #111827; font-weight: 500;">${message}</span>
-    </div>
-  `;
-  
-  document.body.appendChild(toast);
-  
-  setTimeout(() => {
-    toast.style.animation = 'slideOut 0.3s ease';
-    setTimeout(() => toast.remove(), 300);
-  }, 3000);
-}
-
-function showLoading(btn) {
-  btn.disabled = true;
-  btn.dataset.originalText = btn.textContent;
-  btn.textContent = 'Loading...';
-  btn.classList.add('btn-loading');
-}
-
-function hideLoading(btn) {
-  btn.disabled = false;
-  btn.textContent = btn.dataset.originalText;
-  btn.classList.remove('btn-loading');
+// Explain why the user landed here (expired session, logged out in another tab)
+const sessionNotice = session.consumeNotice();
+if (sessionNotice) {
+  uiComponents.toast.warning(sessionNotice);
 }
 
 // Clear errors on input
@@ -97,7 +65,7 @@ loginForm.addEventListener('submit', async (e) => {
     emailInput.classList.add('error');
     emailError.textContent = 'Email is required';
     hasError = true;
-  } else if (!isValidEmail(email)) {
+  } else if (!utils.isValidEmail(email)) {
     emailInput.classList.add('error');
     emailError.textContent = 'Please enter a valid email';
     hasError = true;
@@ -113,7 +81,7 @@ loginForm.addEventListener('submit', async (e) => {
 
   // Show loading state
   const submitBtn = loginForm.querySelector('button[type="submit"]');
-  showLoading(submitBtn);
+  utils.showLoading(submitBtn);
 
   try {
     // Call login API - this will store the JWT token in localStorage
@@ -123,43 +91,16 @@ loginForm.addEventListener('submit', async (e) => {
     });
 
     // Show success message
-    showToast('Login successful! Redirecting...', 'success');
+    uiComponents.toast.success('Login successful! Redirecting...');
     
-    // Redirect to dashboard after successful login
+    // Send the user back to the page that required login (or the dashboard)
     setTimeout(() => {
-      window.location.href = 'dashboard.html';
+      window.location.href = session.getReturnTo();
     }, 500);
   } catch (error) {
     // Display error message for failed login attempts
     console.error('Login failed:', error);
-    showToast(error.message || 'Login failed. Please try again.', 'error');
-    hideLoading(submitBtn);
+    uiComponents.toast.error(utils.parseError(error));
+    utils.hideLoading(submitBtn);
   }
 });
-
-// Add CSS animations
-const style = document.createElement('style');
-style.textContent = `
-  @keyframes slideIn {
-    from {
-      transform: translateX(100%);
-      opacity: 0;
-    }
-    to {
-      transform: translateX(0);
-      opacity: 1;
-    }
-  }
-  
-  @keyframes slideOut {
-    from {
-      transform: translateX(0);
-      opacity: 1;
-    }
-    to {
-      transform: translateX(100%);
-      opacity: 0;
-    }
-  }
-`;
-document.head.appendChild(style);
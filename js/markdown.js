@@ -0,0 +1,293 @@
+/**
+ * Markdown Module
+ * Safe Markdown subset for user-written text (descriptions, notes, reviews, bios)
+ *
+ * Supported: paragraphs, line breaks, # / ## / ### headings, - and 1. lists,
+ * > quotes, ``` code blocks, `code`, **bold**, *italic* / _italic_ and
+ * [links](https://...). Anything else is shown as typed.
+ *
+ * Source is parsed into blocks and inline nodes, and only this module writes
+ * tags: every piece of user text is escaped on output and link targets must be
+ * http(s) or mailto, so no markup or script from the source reaches the page.
+ */
+
+import utils from './utils.js';
+
+// Inline syntax, in priority order: code spans are literal, so they go first.
+// Underscores only count at word boundaries so snake_case stays intact.
+const INLINE_PATTERN = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^()\s]+)\)|\*\*([^\n]+?)\*\*|\*([^*\n]+)\*|(?<![\p{L}\p{N}_])_([^_\n]+)_(?![\p{L}\p{N}_])/u;
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+/**
+ * Escape text for use in element content and double-quoted attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Split source into blocks
+ * @param {string} source - Markdown
+ * @returns {object[]} { type: 'code' | 'heading' | 'quote' | 'list' | 'paragraph', ... }
+ */
+function parseBlocks(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || QUOTE.test(line) ||
+    BULLET.test(line) || NUMBERED.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+    } else if (FENCE.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+      i++; // closing fence (an unclosed block runs to the end)
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (HEADING.test(line)) {
+      const [, hashes, text] = HEADING.exec(line);
+      blocks.push({ type: 'heading', level: hashes.length, text });
+      i++;
+    } else if (QUOTE.test(line)) {
+      const text = [];
+      while (i < lines.length && QUOTE.test(lines[i])) text.push(QUOTE.exec(lines[i++])[1]);
+      blocks.push({ type: 'quote', text: text.join('\n') });
+    } else if (BULLET.test(line) || NUMBERED.test(line)) {
+      const ordered = NUMBERED.test(line);
+      const pattern = ordered ? NUMBERED : BULLET;
+      const items = [];
+      const start = ordered ? parseInt(NUMBERED.exec(line)[1]) : 1;
+      while (i < lines.length && pattern.test(lines[i])) {
+        const match = pattern.exec(lines[i++]);
+        items.push(ordered ? match[2] : match[1]);
+      }
+      blocks.push({ type: 'list', ordered, start, items });
+    } else {
+      const text = [];
+      while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) text.push(lines[i++]);
+      blocks.push({ type: 'paragraph', text: text.join('\n') });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Split a block's text into inline nodes
+ * @param {string} text - Block text
+ * @returns {object[]} { type: 'text' | 'code' | 'strong' | 'em' | 'link', text?, children?, href? }
+ */
+function parseInline(text) {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    const match = INLINE_PATTERN.exec(rest);
+    if (!match) {
+      nodes.push({ type: 'text', text: rest });
+      break;
+    }
+
+    if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+    const [whole, code, linkText, href, strong, star, underscore] = match;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (linkText !== undefined) {
+      // Link targets: absolute http(s) and mailto only
+      const safe = utils.safeUrl(href, { mailto: true });
+      // Unsafe targets keep their text but lose the link
+      nodes.push(safe ? { type: 'link', href: safe, children: parseInline(linkText) } : { type: 'text', text: whole });
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong) });
+    } else {
+      nodes.push({ type: 'em', children: parseInline(star ?? underscore) });
+    }
+
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return nodes;
+}
+
+/**
+ * Take up to budget.remaining characters of text, marking the budget spent when cut
+ * @param {string} text - Text to show
+ * @param {object} budget - { remaining, truncated }
+ * @returns {string} Text that fits
+ */
+function spend(text, budget) {
+  if (text.length <= budget.remaining) {
+    budget.remaining -= text.length;
+    return text;
+  }
+
+  const cut = text.slice(0, budget.remaining).trimEnd() + '...';
+  budget.remaining = 0;
+  budget.truncated = true;
+  return cut;
+}
+
+// Render inline nodes; text beyond the budget is dropped, open tags are still closed
+function renderInline(nodes, budget) {
+  return nodes.map(node => {
+    if (budget.remaining <= 0) {
+      budget.truncated = true;
+      return '';
+    }
+
+    switch (node.type) {
+      case 'code':
+        return `<code>${escapeHTML(spend(node.text, budget))}</code>`;
+      case 'strong':
+        return `<strong>${renderInline(node.children, budget)}</strong>`;
+      case 'em':
+        return `<em>${renderInline(node.children, budget)}</em>`;
+      case 'link':
+        return `<a href="${escapeHTML(node.href)}" target="_blank" rel="noopener noreferrer nofollow">${renderInline(node.children, budget)}</a>`;
+      default:
+        return escapeHTML(spend(node.text, budget)).replace(/\n/g, '<br>');
+    }
+  }).join('');
+}
+
+// Render blocks until the budget runs out
+function renderBlocks(blocks, budget) {
+  const html = [];
+
+  for (const block of blocks) {
+    if (budget.remaining <= 0) {
+      budget.truncated = true;
+      break;
+    }
+
+    switch (block.type) {
+      case 'code':
+        html.push(`<pre><code>${escapeHTML(spend(block.text, budget))}</code></pre>`);
+        break;
+      case 'heading': {
+        // Headings sit inside cards, so # starts at h3
+        const tag = `h${block.level + 2}`;
+        html.push(`<${tag}>${renderInline(parseInline(block.text), budget)}</${tag}>`);
+        break;
+      }
+      case 'quote':
+        html.push(`<blockquote>${renderInline(parseInline(block.text), budget)}</blockquote>`);
+        break;
+      case 'list': {
+        const items = [];
+        for (const item of block.items) {
+          if (budget.remaining <= 0) {
+            budget.truncated = true;
+            break;
+          }
+          items.push(`<li>${renderInline(parseInline(item), budget)}</li>`);
+        }
+        html.push(block.ordered
+          ? `<ol${block.start !== 1 ? ` start="${block.start}"` : ''}>${items.join('')}</ol>`
+          : `<ul>${items.join('')}</ul>`);
+        break;
+      }
+      default:
+        html.push(`<p>${renderInline(parseInline(block.text), budget)}</p>`);
+    }
+  }
+
+  return html.join('');
+}
+
+const markdown = {
+  /**
+   * Render Markdown to safe HTML
+   * @param {string} source - User-written Markdown
+   * @returns {string} HTML string (wrap it in an element with class "markdown")
+   */
+  render(source) {
+    return renderBlocks(parseBlocks(source), { remaining: Infinity, truncated: false });
+  },
+
+  /**
+   * Render the start of a Markdown text for a card: cut after maxLength visible
+   * characters with every tag still closed
+   * @param {string} source - User-written Markdown
+   * @param {number} maxLength - Visible characters to keep
+   * @returns {object} { html, truncated }
+   */
+  renderExcerpt(source, maxLength = 100) {
+    const budget = { remaining: maxLength, truncated: false };
+    const html = renderBlocks(parseBlocks(source), budget);
+    return { html, truncated: budget.truncated };
+  },
+
+  /**
+   * Write / Preview tabs and a syntax hint, placed above a textarea
+   * @param {string} textareaId - Id of the textarea it controls
+   * @returns {string} HTML string
+   */
+  renderEditorTabs(textareaId) {
+    return `
+      <div class="md-tabs" data-md-tabs="${textareaId}">
+        <div class="chip-group" role="group" aria-label="Editor mode">
+          <button type="button" class="chip active" data-md-mode="write">Write</button>
+          <button type="button" class="chip" data-md-mode="preview">Preview</button>
+        </div>
+        <span class="text-xs text-secondary">Markdown: **bold**, *italic*, lists, \`code\`, [links](https://...)</span>
+      </div>
+    `;
+  },
+
+  /**
+   * Wire up tabs from renderEditorTabs: Preview hides the textarea and shows
+   * the rendered text in its place
+   * @param {HTMLElement} root - Element containing the tabs and textarea
+   * @param {string} textareaId - Id passed to renderEditorTabs
+   * @returns {object} { showWrite() } - switch back, e.g. after the form is reset
+   */
+  mountEditor(root, textareaId) {
+    const tabs = root.querySelector(`[data-md-tabs="${textareaId}"]`);
+    const textarea = root.querySelector(`#${textareaId}`);
+    const preview = document.createElement('div');
+    preview.className = 'markdown md-preview hidden';
+    textarea.insertAdjacentElement('afterend', preview);
+
+    const setMode = (mode) => {
+      const previewing = mode === 'preview';
+      tabs.querySelectorAll('[data-md-mode]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mdMode === mode);
+      });
+      if (previewing) {
+        preview.innerHTML = this.render(textarea.value) || '<p class="text-secondary">Nothing to preview</p>';
+      }
+      preview.classList.toggle('hidden', !previewing);
+      textarea.classList.toggle('hidden', previewing);
+    };
+
+    tabs.addEventListener('click', (e) => {
+      const tab = e.target.closest('[data-md-mode]');
+      if (tab) setMode(tab.dataset.mdMode);
+    });
+
+    return {
+      showWrite: () => setMode('write'),
+    };
+  },
+};
+
+export default markdown;
@@ -0,0 +1,147 @@
+/**
+ * Notifications Module
+ * The unread badge on the Notifications nav item, and how each notification reads and where it links
+ */
+
+import apiService from './api.js';
+import utils from './utils.js';
+import appShell from './app-shell.js';
+import live from './live.js';
+
+// Live events usually mean a new notification, but the badge is re-checked
+// on this interval too in case the stream is down
+const COUNT_POLL_MS = 60 * 1000;
+
+let running = false;
+let unread = 0;
+let pollTimer = null;
+let unsubscribeLive = null;
+const listeners = new Set();
+
+/**
+ * How each notification type reads; `who` and `what` are already escaped
+ */
+const TYPES = {
+  'task.assigned': ({ who, what }) => `${who} picked up ${what}`,
+  'task.submitted': ({ who, what }) => `${who} submitted work on ${what}`,
+  'task.approved': ({ who, what }) => `${who} approved your work on ${what}`,
+  'task.changes_requested': ({ who, what }) => `${who} requested changes on ${what}`,
+  'review.received': ({ who, what }) => `${who} left you a review for ${what}`,
+  'message.received': ({ who, what }) => `${who} sent you a message about ${what}`,
+};
+
+// Show the count on every nav badge (sidebar and bottom nav)
+function renderBadges() {
+  document.querySelectorAll('[data-nav-badge="notifications"]').forEach(badge => {
+    badge.textContent = unread > 99 ? '99+' : unread;
+    badge.classList.toggle('hidden', unread === 0);
+  });
+}
+
+const notifications = {
+  /**
+   * Keep the nav badge up to date. Called once by the app after the shell mounts.
+   */
+  start() {
+    if (running) return;
+    running = true;
+
+    this.refreshCount();
+    pollTimer = setInterval(() => {
+      if (document.visibilityState !== 'hidden') this.refreshCount();
+    }, COUNT_POLL_MS);
+
+    // The server writes the notification when it sends the event - give it a moment
+    unsubscribeLive = live.subscribe(utils.debounce(() => this.refreshCount(), 1000));
+  },
+
+  /**
+   * Stop polling and listening for live events
+   */
+  stop() {
+    running = false;
+    clearInterval(pollTimer);
+    pollTimer = null;
+    if (unsubscribeLive) unsubscribeLive();
+    unsubscribeLive = null;
+  },
+
+  /**
+   * Unread notifications, as last counted
+   * @returns {number}
+   */
+  getUnread() {
+    return unread;
+  },
+
+  /**
+   * Set the unread count (e.g. from a mark-read response) and update the badges
+   * @param {number} count - Unread notifications
+   */
+  setUnread(count) {
+    unread = Math.max(0, count || 0);
+    renderBadges();
+    listeners.forEach(listener => listener(unread));
+  },
+
+  /**
+   * Listen for changes to the unread count
+   * @param {Function} listener - Called with the new count
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Re-fetch the unread count
+   * @returns {Promise<void>}
+   */
+  async refreshCount() {
+    try {
+      const response = await apiService.notifications.getUnreadCount();
+      if (running) this.setUnread(response.unread);
+    } catch (error) {
+      console.error('Failed to load notification count:', error);
+    }
+  },
+
+  /**
+   * One-line description of a notification
+   * @param {object} notification - Notification from the API
+   * @returns {string} HTML string (user-supplied parts are escaped)
+   */
+  describe(notification) {
+    const describeType = TYPES[notification.type];
+    if (!describeType) return utils.sanitizeHTML(notification.text || 'You have a new notification');
+
+    return describeType({
+      who: `<strong>${utils.sanitizeHTML(notification.actor?.name || 'Someone')}</strong>`,
+      what: notification.task?.title ? `"${utils.sanitizeHTML(notification.task.title)}"` : 'a task',
+    });
+  },
+
+  /**
+   * Where a notification leads: the task it's about, your public profile for
+   * reviews, otherwise the person who caused it
+   * @param {object} notification - Notification from the API
+   * @returns {string|null} Route href, or null if there's nothing to open
+   */
+  linkFor(notification) {
+    const me = appShell.currentUser.get()?._id;
+
+    if (notification.type === 'review.received' && me) {
+      return `#/users/${encodeURIComponent(me)}`;
+    }
+    if (notification.task?._id) {
+      return `#/tasks/${encodeURIComponent(notification.task._id)}`;
+    }
+    if (notification.actor?._id) {
+      return `#/users/${encodeURIComponent(notification.actor._id)}`;
+    }
+    return null;
+  },
+};
+
+export default notifications;
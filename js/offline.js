@@ -0,0 +1,184 @@
+/**
+ * Offline Module
+ * Registers the service worker (which keeps the app and the last-seen data
+ * readable offline), shows when the app is offline and sends the outbox once
+ * the connection is back
+ */
+
+import apiService from './api.js';
+import utils from './utils.js';
+import uiComponents from './components.js';
+import appShell from './app-shell.js';
+import outbox from './outbox.js';
+
+// The worker lives at the site root so its scope covers every page
+const SERVICE_WORKER_URL = new URL('../sw.js', import.meta.url);
+
+// Web Lock held while sending the outbox, shared by every tab
+const SYNC_LOCK = 'outbox-sync';
+
+let started = false;
+let syncing = false;
+let registering = null;
+let banner = null;
+
+const isOffline = () => navigator.onLine === false;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Offline: say so. Online with changes left over (the server was unreachable): offer a retry
+function renderBanner() {
+  const pending = outbox.list().length;
+  banner.classList.toggle('hidden', !isOffline() && pending === 0);
+
+  if (isOffline()) {
+    banner.innerHTML = `
+      <span>You're offline - showing saved data.
+        ${pending > 0 ? `${plural(pending, 'change')} will sync when you're back online.` : ''}</span>
+    `;
+  } else {
+    banner.innerHTML = `
+      <span>${plural(pending, 'change')} waiting to sync.</span>
+      <button type="button" class="btn btn-ghost btn-sm" data-action="sync">Sync now</button>
+    `;
+  }
+}
+
+/**
+ * Run fn while no other tab is syncing. Every tab shares the outbox and hears
+ * the same 'online' event - without this, each would send the same entries.
+ * Browsers without the Web Locks API fall back to this tab's own flag.
+ * @param {Function} fn - Async work
+ * @returns {Promise}
+ */
+function withSyncLock(fn) {
+  if (navigator.locks) return navigator.locks.request(SYNC_LOCK, fn);
+  return fn();
+}
+
+/**
+ * Send the signed-in user's queued changes in the order they were made. Stops
+ * at the first one that gets no response (still offline) so the order is kept
+ * for next time.
+ */
+async function sync() {
+  // Nothing is sent until we know whose changes they are
+  const me = appShell.currentUser.get()?._id;
+  if (syncing || isOffline() || !me || outbox.getOwner() !== me) return;
+  if (outbox.list().length === 0) return;
+
+  syncing = true;
+  let sent = 0;
+
+  try {
+    await withSyncLock(async () => {
+      // Read inside the lock - a tab that held it before us may have sent them already
+      for (const entry of outbox.list()) {
+        // Sent or discarded elsewhere while we were on an earlier entry
+        if (!outbox.list().some(queued => queued.id === entry.id)) continue;
+
+        // Someone else's change must never go out with this user's token
+        if (entry.owner !== me) {
+          outbox.remove(entry.id);
+          continue;
+        }
+
+        try {
+          await apiService.outbox.replay(entry);
+          outbox.remove(entry.id);
+          sent++;
+
+          // Profile edits and escrow for new tasks change the current user
+          if (entry.kind === 'profile.update' || entry.kind === 'task.create') {
+            appShell.currentUser.refresh().catch(() => {});
+          }
+        } catch (error) {
+          // No response - keep this and the rest, in order, for the next try
+          if (!error.status) break;
+          // Session expired - request() is already sending the user to log in, and
+          // ending the session dropped the outbox (the login page says so)
+          if (error.status === 401) break;
+
+          // Turned down (e.g. the task was reassigned meanwhile) - it won't succeed later either
+          console.error('Failed to sync offline change:', error);
+          outbox.remove(entry.id);
+          uiComponents.toast.error(`Couldn't sync ${entry.label || 'a change'}: ${utils.parseError(error)}`);
+        }
+      }
+    });
+  } finally {
+    syncing = false;
+  }
+
+  if (sent > 0) {
+    uiComponents.toast.success(`${plural(sent, 'offline change')} synced`);
+  }
+}
+
+const offline = {
+  /**
+   * Register the service worker, show the offline banner and sync the
+   * outbox whenever the connection returns. Called once by the app.
+   */
+  start() {
+    if (started) return;
+    started = true;
+
+    banner = document.createElement('div');
+    banner.className = 'offline-banner hidden';
+    banner.setAttribute('role', 'status');
+    document.body.appendChild(banner);
+
+    banner.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="sync"]')) sync();
+    });
+
+    window.addEventListener('online', () => {
+      renderBanner();
+      sync();
+    });
+    window.addEventListener('offline', renderBanner);
+    outbox.subscribe(renderBanner);
+
+    // Queued changes belong to whoever is signed in; send theirs once we know who that is
+    appShell.currentUser.subscribe(user => {
+      if (!user?._id || user._id === outbox.getOwner()) return;
+      outbox.setOwner(user._id);
+      sync();
+    });
+
+    this.registerServiceWorker().catch(error => {
+      console.error('Failed to register service worker:', error);
+    });
+
+    renderBanner();
+    sync();
+  },
+
+  /**
+   * Register the service worker (once per page)
+   * @returns {Promise<ServiceWorkerRegistration>}
+   */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+      return Promise.reject(new Error("Service workers aren't supported in this browser"));
+    }
+
+    if (!registering) {
+      registering = navigator.serviceWorker.register(SERVICE_WORKER_URL)
+        .catch(error => {
+          registering = null;
+          throw error;
+        });
+    }
+    return registering;
+  },
+
+  /**
+   * Whether the browser reports no connection
+   * @returns {boolean}
+   */
+  isOffline,
+};
+
+export default offline;
@@ -0,0 +1,155 @@
+/**
+ * Outbox Module
+ * Changes made while offline, kept on this device until they can be sent (see offline.js)
+ *
+ * Entries are stamped with the user who made them and only that user's entries
+ * are listed or sent - the device may be signed into another account by then.
+ */
+
+const STORAGE_KEY = 'outbox';
+
+// Other tabs share the outbox through localStorage
+const listeners = new Set();
+
+// Id of the signed-in user (set once their profile has loaded)
+let owner = null;
+
+/**
+ * Read the queue
+ * @returns {object[]} Entries, oldest first
+ */
+function read() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Entries that belong to the signed-in user
+function own(entries) {
+  return owner ? entries.filter(entry => entry.owner === owner) : [];
+}
+
+function write(entries) {
+  if (entries.length > 0) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  listeners.forEach(listener => listener(own(entries)));
+}
+
+window.addEventListener('storage', (e) => {
+  if (e.key === STORAGE_KEY || e.key === null) {
+    const entries = own(read());
+    listeners.forEach(listener => listener(entries));
+  }
+});
+
+const outbox = {
+  /**
+   * Set the signed-in user. Entries left by anyone else (the session ended
+   * before they were cleared) are dropped - they must never be sent with
+   * this user's token.
+   * @param {string} userId - Current user's id
+   */
+  setOwner(userId) {
+    owner = userId || null;
+    const entries = read();
+    const kept = own(entries);
+    if (owner && kept.length !== entries.length) {
+      write(kept);
+    } else {
+      listeners.forEach(listener => listener(kept));
+    }
+  },
+
+  /**
+   * Id of the user whose entries are listed and sent
+   * @returns {string|null}
+   */
+  getOwner() {
+    return owner;
+  },
+
+  /**
+   * Queue a request to send later, on behalf of the signed-in user
+   * @param {object} entry - { kind, label, ref, key, endpoint, method, body }
+   *   kind: 'task.create' | 'task.submit' | 'profile.update'
+   *   ref: id of the task it belongs to, for pending badges
+   *   key: a newer entry with the same key replaces the older one (e.g. profile edits)
+   * @returns {object|null} The stored entry, with its id, owner and createdAt - null if no user is set yet
+   */
+  add(entry) {
+    if (!owner) return null;
+
+    const stored = {
+      ...entry,
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      owner,
+      createdAt: new Date().toISOString(),
+    };
+    const entries = read().filter(existing =>
+      !entry.key || existing.key !== entry.key || existing.owner !== owner);
+    write(entries.concat(stored));
+    return stored;
+  },
+
+  /**
+   * The signed-in user's queued entries, oldest first
+   * @param {object} filter - { kind, ref } - only entries matching these
+   * @returns {object[]}
+   */
+  list(filter = {}) {
+    return own(read()).filter(entry =>
+      (!filter.kind || entry.kind === filter.kind) && (!filter.ref || entry.ref === filter.ref));
+  },
+
+  /**
+   * Whether anything is waiting to sync for a task
+   * @param {string} ref - Task id
+   * @returns {boolean}
+   */
+  isPending(ref) {
+    return this.list({ ref }).length > 0;
+  },
+
+  /**
+   * Drop an entry (sent, rejected or discarded)
+   * @param {string} id - Entry id
+   */
+  remove(id) {
+    write(read().filter(entry => entry.id !== id));
+  },
+
+  /**
+   * Drop everything, whoever it belongs to - when the session ends
+   * @returns {number} How many entries were dropped
+   */
+  clear() {
+    const dropped = read().length;
+    write([]);
+    return dropped;
+  },
+
+  /**
+   * Listen for changes to the queue, from this tab or another
+   * @param {Function} listener - Called with the entries
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * "Pending sync" badge for anything shown from (or waiting on) the outbox
+   * @returns {string} HTML string
+   */
+  renderBadge() {
+    return `<span class="badge badge-warning pending-sync" title="Saved on this device - it will be sent when you're back online">Pending sync</span>`;
+  },
+};
+
+export default outbox;
@@ -0,0 +1,94 @@
+/**
+ * Push Module
+ * This device's Web Push subscription
+ */
+
+import apiService from './api.js';
+import offline from './offline.js';
+
+/**
+ * Decode a base64url VAPID key into the bytes pushManager.subscribe() expects
+ * @param {string} value - base64url string
+ * @returns {Uint8Array} Key bytes
+ */
+function decodeKey(value) {
+  const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+const push = {
+  /**
+   * Whether this browser can receive Web Push at all
+   * @returns {boolean}
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  },
+
+  /**
+   * Notification permission for this site
+   * @returns {string} 'default' | 'granted' | 'denied' | 'unsupported'
+   */
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  },
+
+  /**
+   * This device's current subscription
+   * @returns {Promise<PushSubscription|null>}
+   */
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+    const registration = await offline.registerServiceWorker();
+    return registration.pushManager.getSubscription();
+  },
+
+  /**
+   * Ask for permission if needed, subscribe this device and send the
+   * subscription to the server. Call from a click so the browser shows the prompt.
+   * @returns {Promise<PushSubscription>}
+   */
+  async subscribe() {
+    if (!this.isSupported()) {
+      throw new Error("Push notifications aren't supported in this browser");
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission === 'denied') {
+      throw new Error('Notifications are blocked for this site - allow them in your browser settings');
+    }
+    if (permission !== 'granted') {
+      throw new Error('Push notifications need your permission');
+    }
+
+    // A worker registered just now may still be installing, and subscribe()
+    // needs an active one - wait until it is
+    await offline.registerServiceWorker();
+    const registration = await navigator.serviceWorker.ready;
+    let subscription = await registration.pushManager.getSubscription();
+    if (!subscription) {
+      const { publicKey } = await apiService.notifications.getPushKey();
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: decodeKey(publicKey),
+      });
+    }
+
+    await apiService.notifications.subscribePush(subscription.toJSON());
+    return subscription;
+  },
+
+  /**
+   * Stop push on this device, here and on the server
+   * @returns {Promise<void>}
+   */
+  async unsubscribe() {
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+
+    await apiService.notifications.unsubscribePush({ endpoint: subscription.endpoint });
+    await subscription.unsubscribe();
+  },
+};
+
+export default push;
@@ -1,9 +1,11 @@
 import apiService from './api.js';
+import session from './session.js';
+import utils from './utils.js';
+import uiComponents from './components.js';
 
-// Check if user is already logged in - redirect to dashboard if authenticated
-const token = localStorage.getItem('token');
-if (token) {
-  window.location.href = 'dashboard.html';
+// Check if user is already logged in - skip straight to where they were going
+if (session.isAuthenticated()) {
+  window.location.href = session.getReturnTo();
 }
 
 // Password toggle functionality
@@ -27,60 +29,6 @@ const nameError = document.getElementById('nameError');
 const emailError = document.getElementById('emailError');
 const passwordError = document.getElementById('passwordError');
 
-// Utility functions
-function isValidEmail(email) {
-  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return re.test(email);
-}
-
-function validatePassword(password) {
-  const result = {
-    isValid: true,
-    errors: [],
-  };
-
-  if (!password || password.length < 6) {
-    result.isValid = false;
-    result.errors.push('Password must be at least 6 characters long');
-  }
-
-  return result;
-}
-
-function showToast(message, type = 'success') {
-  const toast = document.createElement('div');
-  toast.className = `toast toast-${type}`;
-  toast.style.cssText = 'position: fixed; top: 20px; right: 20px; padding: 16px 24px; background: white; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.15); z-index: 10000; animation: slideIn 0.3s ease;';
-  
-  const color = type === 'success' ? '#10b981' : '#ef4444';
-  toast.innerHTML = `
-    <div style="display: flex; align-items: center; gap: 12px;">
-      <div style="width: 20px; height: 20px; border-radius: 50%; background: ${color};"></div>
-      <span style="color: #111827; font-weight: 500;">${message}</span>
-    </div>
-  `;
-  
-  document.body.appendChild(toast);
-  
-  setTimeout(() => {
-    toast.style.animation = 'slideOut 0.3s ease';
-    setTimeout(() => toast.remove(), 300);
-  }, 3000);
-}
-
-function showLoading(btn) {
-  btn.disabled = true;
-  btn.dataset.originalText = btn.textContent;
-  btn.textContent = 'Loading...';
-  btn.classList.add('btn-loading');
-}
-
-function hideLoading(btn) {
-  btn.disabled = false;
-  btn.textContent = btn.dataset.originalText;
-  btn.classList.remove('btn-loading');
-}
-
 // Clear errors on input
 nameInput.addEventListener('input', () => {
   nameInput.classList.remove('error');
@@ -131,7 +79,7 @@ registerForm.addEventListener('submit', async (e) => {
     emailInput.classList.add('error');
     emailError.textContent = 'Email is required';
     hasError = true;
-  } else if (!isValidEmail(email)) {
+  } else if (!utils.isValidEmail(email)) {
     emailInput.classList.add('error');
     emailError.textContent = 'Please enter a valid email';
     hasError = true;
@@ -142,7 +90,7 @@ registerForm.addEventListener('submit', async (e) => {
     passwordError.textContent = 'Password is required';
     hasError = true;
   } else {
-    const validation = validatePassword(password);
+    const validation = utils.validatePassword(password);
     if (!validation.isValid) {
       passwordInput.classList.add('error');
       passwordError.textContent = validation.errors[0];
@@ -154,7 +102,7 @@ registerForm.addEventListener('submit', async (e) => {
 
   // Submit registration request
   const submitBtn = registerForm.querySelector('button[type="submit"]');
-  showLoading(submitBtn);
+  utils.showLoading(submitBtn);
 
   try {
     await apiService.auth.register({
@@ -163,42 +111,15 @@ registerForm.addEventListener('submit', async (e) => {
       password,
     });
 
-    showToast('Registration successful! Redirecting...', 'success');
+    uiComponents.toast.success('Registration successful! Redirecting...');
     
-    // Redirect to dashboard
+    // Redirect to the page that required login (or the dashboard)
     setTimeout(() => {
-      window.location.href = 'dashboard.html';
+      window.location.href = session.getReturnTo();
     }, 500);
   } catch (error) {
     console.error('Registration failed:', error);
-    showToast(error.message || 'Registration failed. Please try again.', 'error');
-    hideLoading(submitBtn);
+    uiComponents.toast.error(utils.parseError(error));
+    utils.hideLoading(submitBtn);
   }
 });
-
-// Add CSS animations
-const style = document.createElement('style');
-style.textContent = `
-  @keyframes slideIn {
-    from {
-      transform: translateX(100%);
-      opacity: 0;
-    }
-    to {
-      transform: translateX(0);
-      opacity: 1;
-    }
-  }
-  
-  @keyframes slideOut {
-    from {
-      transform: translateX(0);
-      opacity: 1;
-    }
-    to {
-      transform: translateX(100%);
-      opacity: 0;
-    }
-  }
-`;
-document.head.appendChild(style);
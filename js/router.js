@@ -0,0 +1,187 @@
+/**
+ * Router Module
+ * Hash-based client-side routing: mounts one view at a time into the app shell
+ */
+
+import session from './session.js';
+
+const DEFAULT_TITLE = 'WorkExchange';
+
+const routes = [];
+
+let outlet = null;
+let fallbackPath = '/';
+let onChange = null;
+let current = null;
+
+/**
+ * Compile a path pattern like '/users/:id' into a matcher
+ * @param {string} pattern - Route path with optional :params
+ * @returns {object} { regex, keys }
+ */
+function compile(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Split the current hash into a path and query params
+ * @returns {object} { path, query }
+ */
+function parseHash() {
+  const hash = window.location.hash.replace(/^#/, '') || fallbackPath;
+  const [path, search = ''] = hash.split('?');
+  return { path: path || fallbackPath, query: new URLSearchParams(search) };
+}
+
+/**
+ * Find the route for a path
+ * @param {string} path - Path without the leading '#'
+ * @returns {object|null} { route, params }, or null if nothing matches (or the path can't be decoded)
+ */
+function match(path) {
+  for (const route of routes) {
+    const result = route.regex.exec(path);
+    if (!result) continue;
+
+    const params = {};
+    try {
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(result[i + 1]);
+      });
+    } catch (error) {
+      // Malformed escape like '%E0' - treat it as an unknown route
+      return null;
+    }
+    return { route, params };
+  }
+  return null;
+}
+
+/**
+ * Tear down the mounted view, if any
+ */
+function unmountCurrent() {
+  if (current && typeof current.cleanup === 'function') {
+    try {
+      current.cleanup();
+    } catch (error) {
+      console.error('Failed to unmount view:', error);
+    }
+  }
+  current = null;
+}
+
+/**
+ * Render the view for the current hash
+ */
+function resolve() {
+  const { path, query } = parseHash();
+  const found = match(path);
+
+  if (!found) {
+    router.navigate(fallbackPath, { replace: true });
+    return;
+  }
+
+  const { route, params } = found;
+
+  // Route guard - the token may have expired since the shell loaded
+  if (route.auth && !session.isAuthenticated()) {
+    session.redirectToLogin({ reason: session.getToken() ? 'expired' : null });
+    return;
+  }
+
+  unmountCurrent();
+
+  const { view } = route;
+  outlet.innerHTML = view.render(params, query);
+  document.title = view.title ? `${view.title} - ${DEFAULT_TITLE}` : DEFAULT_TITLE;
+  window.scrollTo(0, 0);
+
+  const entry = { route, view, params, query, cleanup: null };
+  current = entry;
+  if (onChange) onChange(entry);
+
+  // mount() may return a cleanup function (unsubscribe, clear timers, ...)
+  entry.cleanup = view.mount ? view.mount(outlet, params, query) : null;
+}
+
+const router = {
+  /**
+   * Register a route
+   * @param {string} path - Path pattern, e.g. '/users/:id'
+   * @param {object} view - { title, nav, render(params, query), mount(outlet, params, query) }
+   * @param {object} options - { auth: require a signed-in user (default true) }
+   */
+  register(path, view, options = {}) {
+    const { auth = true } = options;
+    routes.push({ path, view, auth, ...compile(path) });
+    return this;
+  },
+
+  /**
+   * Start listening for hash changes and render the first view
+   * @param {object} options - { outlet: element views render into, fallback: path for unknown routes, onChange: called with each new route }
+   */
+  start(options) {
+    outlet = options.outlet;
+    fallbackPath = options.fallback || routes[0]?.path || '/';
+    onChange = options.onChange || null;
+
+    window.addEventListener('hashchange', resolve);
+    resolve();
+  },
+
+  /**
+   * Go to a path; adds a history entry unless `replace` is set
+   * @param {string} path - Path like '/tasks/123'
+   * @param {object} options - { replace }
+   */
+  navigate(path, options = {}) {
+    const { replace = false } = options;
+    const target = this.href(path);
+
+    if (window.location.hash === target) {
+      // Same route - hashchange won't fire, so re-render explicitly
+      resolve();
+    } else if (replace) {
+      window.history.replaceState(null, '', target);
+      resolve();
+    } else {
+      window.location.hash = path;
+    }
+  },
+
+  /**
+   * Link target for a path, for use in href attributes
+   * @param {string} path - Path like '/users/123'
+   * @returns {string} Hash URL
+   */
+  href(path) {
+    return `#${path}`;
+  },
+
+  /**
+   * Check whether a view is still the one on screen
+   * Useful before acting on a response that arrived after navigating away
+   * @param {object} view - View object
+   * @returns {boolean}
+   */
+  isActive(view) {
+    return !!current && current.view === view;
+  },
+};
+
+export default router;
@@ -0,0 +1,238 @@
+import outbox from "./outbox.js";
+
+// ===============================
+// SESSION CONFIG
+// ===============================
+// Single source of truth for the JWT storage key
+const TOKEN_KEY = "token";
+// Older builds of utils.js looked for this key - migrated on load
+const LEGACY_TOKEN_KEY = "auth_token";
+// Why the user was sent to login (read once by the login page)
+const NOTICE_KEY = "session_notice";
+// Set when the session ended with offline changes still unsent
+const DROPPED_KEY = "outbox_dropped";
+
+const LOGIN_PATH = "/pages/login.html";
+const DEFAULT_RETURN = "app.html#/dashboard";
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+const NOTICE_MESSAGES = {
+  expired: "Your session expired. Please log in again.",
+  signed_out: "You were logged out in another tab."
+};
+
+const DROPPED_MESSAGE = "Changes you made offline hadn't synced yet and were discarded.";
+
+let expiryTimer = null;
+let watching = false;
+
+// ===============================
+// TOKEN STORAGE
+// ===============================
+const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+// However a session ends (logout, expiry, another tab, a new login over an old
+// token), the changes still queued offline and the API responses the service
+// worker cached go with it - they must never reach the next account
+const dropSessionData = () => {
+  if (outbox.clear() > 0) {
+    sessionStorage.setItem(DROPPED_KEY, "1");
+  }
+  navigator.serviceWorker?.controller?.postMessage({ type: "session-ended" });
+};
+
+const setToken = (token) => {
+  const previous = getToken();
+  if (previous && previous !== token) {
+    dropSessionData();
+  }
+
+  localStorage.setItem(TOKEN_KEY, token);
+  scheduleExpiry();
+};
+
+const clearToken = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(LEGACY_TOKEN_KEY);
+  clearTimeout(expiryTimer);
+  dropSessionData();
+};
+
+// Move a token saved under the legacy key so old sessions survive
+(function migrateLegacyToken() {
+  const legacy = localStorage.getItem(LEGACY_TOKEN_KEY);
+  if (legacy && !getToken()) {
+    localStorage.setItem(TOKEN_KEY, legacy);
+  }
+  localStorage.removeItem(LEGACY_TOKEN_KEY);
+})();
+
+// ===============================
+// JWT DECODING
+// ===============================
+// Reads the payload without verifying the signature - the backend does that
+function decodeToken(token = getToken()) {
+  if (!token) return null;
+
+  try {
+    const payload = token.split(".")[1];
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=");
+    return JSON.parse(atob(padded));
+  } catch {
+    return null;
+  }
+}
+
+// Expiry as a ms timestamp, or null when the token has no exp claim
+function getExpiry(token = getToken()) {
+  const payload = decodeToken(token);
+  return payload && typeof payload.exp === "number" ? payload.exp * 1000 : null;
+}
+
+function isExpired(token = getToken()) {
+  const expiry = getExpiry(token);
+  return expiry !== null && expiry <= Date.now();
+}
+
+function isAuthenticated() {
+  const token = getToken();
+  return !!token && !isExpired(token);
+}
+
+// ===============================
+// REDIRECTS
+// ===============================
+// Only same-origin paths are accepted so ?returnTo can't be used as an open redirect.
+// Resolved the way the browser will resolve it - it strips tabs and newlines, so
+// "/\t/evil.com" would otherwise slip past a plain "//" check
+function sanitizeReturnTo(value) {
+  if (!value || !value.startsWith("/")) {
+    return null;
+  }
+
+  try {
+    const url = new URL(value, window.location.origin);
+    return url.origin === window.location.origin ? url.pathname + url.search + url.hash : null;
+  } catch {
+    return null;
+  }
+}
+
+function getReturnTo() {
+  const param = new URLSearchParams(window.location.search).get("returnTo");
+  return sanitizeReturnTo(param) || DEFAULT_RETURN;
+}
+
+// reason: "expired" | "signed_out" | null
+function redirectToLogin({ reason = null, returnTo = true } = {}) {
+  clearToken();
+
+  if (reason) {
+    sessionStorage.setItem(NOTICE_KEY, reason);
+  }
+
+  let url = LOGIN_PATH;
+  if (returnTo) {
+    const { pathname, search, hash } = window.location;
+    url += `?returnTo=${encodeURIComponent(pathname + search + hash)}`;
+  }
+
+  window.location.href = url;
+}
+
+// Returns the message for why the user landed on login (and whether offline
+// changes were lost on the way), once
+function consumeNotice() {
+  const reason = sessionStorage.getItem(NOTICE_KEY);
+  const dropped = sessionStorage.getItem(DROPPED_KEY);
+  sessionStorage.removeItem(NOTICE_KEY);
+  sessionStorage.removeItem(DROPPED_KEY);
+
+  const messages = [reason ? NOTICE_MESSAGES[reason] : null, dropped ? DROPPED_MESSAGE : null];
+  return messages.filter(Boolean).join(" ") || null;
+}
+
+function logout() {
+  clearToken();
+  window.location.href = LOGIN_PATH;
+}
+
+// ===============================
+// WATCHERS
+// ===============================
+function scheduleExpiry() {
+  clearTimeout(expiryTimer);
+
+  const expiry = getExpiry();
+  if (expiry === null || !watching) return;
+
+  const delay = Math.min(Math.max(expiry - Date.now(), 0), MAX_TIMER_DELAY);
+  expiryTimer = setTimeout(() => {
+    if (isExpired()) {
+      redirectToLogin({ reason: "expired" });
+    } else {
+      scheduleExpiry();
+    }
+  }, delay);
+}
+
+function startWatching() {
+  if (watching) return;
+  watching = true;
+
+  scheduleExpiry();
+
+  // Timers are throttled in background tabs - re-check when we come back
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible" && getToken() && isExpired()) {
+      redirectToLogin({ reason: "expired" });
+    }
+  });
+
+  // Logging out (or in as someone else) in another tab ends this one too
+  window.addEventListener("storage", (e) => {
+    if (e.key !== TOKEN_KEY && e.key !== null) return;
+
+    if (!getToken()) {
+      redirectToLogin({ reason: "signed_out" });
+    } else if (e.oldValue && e.newValue && e.oldValue !== e.newValue) {
+      window.location.reload();
+    } else {
+      scheduleExpiry();
+    }
+  });
+}
+
+// ===============================
+// PAGE GUARD
+// ===============================
+// Call at the top of every protected page. Returns false when redirecting.
+function guard() {
+  if (!isAuthenticated()) {
+    redirectToLogin({ reason: getToken() ? "expired" : null });
+    return false;
+  }
+
+  startWatching();
+  return true;
+}
+
+const session = {
+  getToken,
+  setToken,
+  clearToken,
+  decodeToken,
+  getExpiry,
+  isExpired,
+  isAuthenticated,
+  getReturnTo,
+  redirectToLogin,
+  consumeNotice,
+  logout,
+  guard
+};
+
+export default session;
@@ -0,0 +1,118 @@
+/**
+ * Tags Module
+ * Task categories, tag clean-up and matching tasks to a user's skills
+ */
+
+import utils from './utils.js';
+
+/**
+ * Task categories, in display order
+ */
+const CATEGORIES = [
+  { value: 'design', label: 'Design' },
+  { value: 'development', label: 'Development' },
+  { value: 'writing', label: 'Writing' },
+  { value: 'translation', label: 'Translation' },
+  { value: 'marketing', label: 'Marketing' },
+  { value: 'data', label: 'Data & Research' },
+  { value: 'admin', label: 'Admin & Support' },
+  { value: 'other', label: 'Other' },
+];
+
+const MAX_TAGS = 8;
+const MAX_TAG_LENGTH = 24;
+
+const tags = {
+  CATEGORIES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+
+  /**
+   * Display label for a category value
+   * @param {string} value - Category value
+   * @returns {string} Label ('' for none)
+   */
+  getCategoryLabel(value) {
+    if (!value) return '';
+    return CATEGORIES.find(c => c.value === value)?.label || utils.getStatusDisplayText(value);
+  },
+
+  /**
+   * Canonical form of a tag or skill: lower case, single spaces, no punctuation
+   * other than the bits skill names use (c++, c#, node.js, front-end)
+   * @param {string} tag - Raw tag
+   * @returns {string} Normalized tag
+   */
+  normalize(tag) {
+    return String(tag || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N} +#.-]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Parse a comma-separated list into unique, normalized tags
+   * @param {string} value - e.g. "Design, logo ,design"
+   * @returns {string[]} e.g. ['design', 'logo']
+   */
+  parse(value) {
+    const seen = new Set();
+    return String(value || '')
+      .split(',')
+      .map(tag => this.normalize(tag))
+      .filter(tag => tag && !seen.has(tag) && seen.add(tag));
+  },
+
+  /**
+   * Tag chips for a task card
+   * @param {string[]} taskTags - Tags
+   * @param {object} options - { clickable: render buttons with a URI-encoded data-tag for filtering }
+   * @returns {string} HTML string
+   */
+  renderChips(taskTags = [], options = {}) {
+    const { clickable = false } = options;
+    if (!taskTags.length) return '';
+
+    return `
+      <div class="tag-list">
+        ${taskTags.map(tag => clickable
+          ? `<button type="button" class="tag" data-tag="${encodeURIComponent(tag)}" title="Filter by this tag">#${utils.sanitizeHTML(tag)}</button>`
+          : `<span class="tag">#${utils.sanitizeHTML(tag)}</span>`
+        ).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * How well a task fits a set of skills: the number of its tags (and its
+   * category) that match a skill
+   * @param {object} task - Task with tags / category
+   * @param {string[]} skills - User's skills
+   * @returns {number} Score (0 = no overlap)
+   */
+  matchScore(task, skills = []) {
+    const wanted = new Set(skills.map(skill => this.normalize(skill)).filter(Boolean));
+    if (wanted.size === 0) return 0;
+
+    const taskTags = (task.tags || []).map(tag => this.normalize(tag));
+    if (task.category) taskTags.push(this.normalize(task.category));
+
+    return new Set(taskTags.filter(tag => wanted.has(tag))).size;
+  },
+
+  /**
+   * Tasks that overlap with the skills, best match first (newest breaks ties)
+   * @param {object[]} tasks - Candidate tasks
+   * @param {string[]} skills - User's skills
+   * @returns {object[]} Matching tasks, each with a `matchScore`
+   */
+  rank(tasks, skills) {
+    return tasks
+      .map(task => ({ ...task, matchScore: this.matchScore(task, skills) }))
+      .filter(task => task.matchScore > 0)
+      .sort((a, b) => b.matchScore - a.matchScore || new Date(b.createdAt) - new Date(a.createdAt));
+  },
+};
+
+export default tags;
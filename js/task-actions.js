@@ -0,0 +1,1150 @@
+/**
+ * Task Actions Module
+ * The lifecycle actions (assign, submit, approve, edit, cancel, ...) shared by task cards and the task view
+ */
+
+import apiService from './api.js';
+import utils from './utils.js';
+import uiComponents from './components.js';
+import appShell from './app-shell.js';
+import router from './router.js';
+import walletActions from './wallet-actions.js';
+import attachments from './attachments.js';
+import markdown from './markdown.js';
+
+// Statuses in which either party can escalate to a dispute
+const DISPUTABLE_STATUSES = ['assigned', 'submitted'];
+
+// Statuses a deadline still applies to - once work is submitted it has been delivered
+const DEADLINE_STATUSES = ['open', 'assigned'];
+
+// Deadlines closer than this are highlighted
+const DEADLINE_SOON_MS = 24 * 60 * 60 * 1000;
+
+// Countdowns are refreshed this often while a list is on screen
+const DEADLINE_TICK_MS = 60 * 1000;
+
+// Milestone statuses don't all exist on tasks, so they get their own badges
+const MILESTONE_BADGES = {
+  pending: 'badge-secondary',
+  submitted: 'badge-warning',
+  approved: 'badge-success',
+};
+
+/**
+ * Id of a user reference, which the API sends either populated or as a bare id
+ * @param {object|string} user - User object or id
+ * @returns {string|null} User id
+ */
+function userId(user) {
+  if (!user) return null;
+  return typeof user === 'string' ? user : user._id;
+}
+
+/**
+ * Ask for confirmation, then run a task action
+ * @param {object} options - { confirm: modal.confirm options, run, success: toast text, refreshBalance, onDone }
+ * @returns {Promise<boolean>} Whether the action ran
+ */
+async function confirmAndRun(options) {
+  const { confirm, run, success, refreshBalance = false, onDone = null } = options;
+
+  const confirmed = await uiComponents.modal.confirm(confirm);
+  if (!confirmed) return false;
+
+  try {
+    await run();
+    uiComponents.toast.success(success);
+  } catch (error) {
+    console.error('Task action failed:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    return false;
+  }
+
+  if (refreshBalance) appShell.currentUser.refresh().catch(() => {});
+  if (onDone) await onDone();
+  return true;
+}
+
+const taskActions = {
+  /**
+   * Work out what the given user may do with a task right now
+   * @param {object} task - Task
+   * @param {object} user - Current user
+   * @returns {object} { isOwner, isAssignee, canAssign, canApply, hasApplied, canChooseApplicant, canSubmit, canSubmitMilestone, canApprove, canApproveMilestone, canRequestChanges, canEdit, canCancel, canUnassign, canWithdraw, canDispute }
+   */
+  getPermissions(task, user) {
+    const me = userId(user);
+    const isOwner = !!me && userId(task.owner) === me;
+    const multiSlot = this.isMultiSlot(task);
+    const myAssignment = multiSlot ? this.getMyAssignment(task, user) : null;
+    const isAssignee = multiSlot ? !!myAssignment : !!me && userId(task.assignedTo) === me;
+    // On multi-slot tasks each worker's slot goes through assigned/submitted on its own
+    const workStatus = multiSlot ? myAssignment?.status : task.status;
+    // Once anyone holds a slot the reward and escrow are locked in
+    const isUntouched = !multiSlot || this.getFilledSlots(task) === 0;
+    // Milestone tasks are submitted and approved milestone by milestone
+    const milestones = this.hasMilestones(task);
+
+    return {
+      isOwner,
+      isAssignee,
+      canAssign: task.status === 'open' && !isOwner && !isAssignee && !task.acceptApplications,
+      canApply: task.status === 'open' && !isOwner && !!task.acceptApplications && !task.myApplication,
+      hasApplied: task.status === 'open' && !!task.myApplication,
+      canChooseApplicant: task.status === 'open' && isOwner && !!task.acceptApplications,
+      canSubmit: workStatus === 'assigned' && isAssignee && !milestones,
+      canSubmitMilestone: task.status === 'assigned' && isAssignee && milestones,
+      // Slots and milestones are approved one by one from their lists instead
+      canApprove: task.status === 'submitted' && isOwner && !multiSlot && !milestones,
+      canApproveMilestone: task.status === 'assigned' && isOwner && milestones,
+      canRequestChanges: task.status === 'submitted' && isOwner && !multiSlot && !milestones,
+      canEdit: task.status === 'open' && isOwner && isUntouched,
+      canCancel: task.status === 'open' && isOwner && isUntouched,
+      canUnassign: task.status === 'assigned' && isOwner && !multiSlot,
+      canWithdraw: workStatus === 'assigned' && isAssignee,
+      canDispute: this.isDisputable(task) && (isOwner || isAssignee) && !multiSlot,
+      // The thread opens once someone is working on the task
+      canMessage: (isOwner && this.getFilledSlots(task) > 0) || isAssignee,
+    };
+  },
+
+  /**
+   * Number of workers the task takes; 1 unless it was posted with several slots
+   * @param {object} task - Task
+   * @returns {number}
+   */
+  getSlots(task) {
+    return Math.max(1, task.slots || 1);
+  },
+
+  /**
+   * Whether each of several workers does the task once
+   * @param {object} task - Task
+   * @returns {boolean}
+   */
+  isMultiSlot(task) {
+    return this.getSlots(task) > 1;
+  },
+
+  /**
+   * Number of slots taken so far
+   * @param {object} task - Task
+   * @returns {number}
+   */
+  getFilledSlots(task) {
+    if (!this.isMultiSlot(task)) return task.assignedTo ? 1 : 0;
+    return task.filledSlots ?? (task.assignments || []).length;
+  },
+
+  /**
+   * The given user's slot on a multi-slot task
+   * @param {object} task - Task
+   * @param {object} user - Current user
+   * @returns {object|null} Assignment ({ _id, worker, status, submissionNotes, revisions, ... })
+   */
+  getMyAssignment(task, user) {
+    if (task.myAssignment) return task.myAssignment;
+    const me = userId(user);
+    return (task.assignments || []).find(a => !!me && userId(a.worker) === me) || null;
+  },
+
+  /**
+   * Total coins held in escrow for the task (reward × slots)
+   * @param {object} task - Task
+   * @returns {number}
+   */
+  getEscrowTotal(task) {
+    return task.coins * this.getSlots(task);
+  },
+
+  /**
+   * Whether the reward is split into milestones
+   * @param {object} task - Task
+   * @returns {boolean}
+   */
+  hasMilestones(task) {
+    return Array.isArray(task.milestones) && task.milestones.length > 0;
+  },
+
+  /**
+   * How far a milestone task has come
+   * @param {object} task - Task with milestones
+   * @returns {object} { approved, total, percent, released: coins paid out so far, held: coins still in escrow }
+   */
+  getMilestoneProgress(task) {
+    const milestones = task.milestones || [];
+    const approved = milestones.filter(m => m.status === 'approved');
+    const total = milestones.length;
+    const sum = (list) => list.reduce((coins, m) => coins + (m.coins || 0), 0);
+
+    return {
+      approved: approved.length,
+      total,
+      percent: total ? Math.round((approved.length / total) * 100) : 0,
+      released: sum(approved),
+      held: sum(milestones.filter(m => m.status !== 'approved')),
+    };
+  },
+
+  /**
+   * Whether the deadline has passed while the task was still open or being worked on
+   * @param {object} task - Task
+   * @returns {boolean}
+   */
+  isOverdue(task) {
+    return !!task.deadline && DEADLINE_STATUSES.includes(task.status) && new Date(task.deadline) < Date.now();
+  },
+
+  /**
+   * Deadline countdown, flagged when it's close or has passed
+   * The element carries data-task-id so watchDeadlines can refresh it
+   * @param {object} task - Task
+   * @returns {string} HTML string ('' without a deadline)
+   */
+  renderDeadline(task) {
+    if (!task.deadline) return '';
+
+    const due = new Date(task.deadline);
+    const remaining = due - Date.now();
+    let state = 'upcoming';
+    let text = `Due ${utils.formatDate(due)}`;
+
+    if (!DEADLINE_STATUSES.includes(task.status)) {
+      state = 'inactive';
+      if (remaining < 0) text = `Was due ${utils.formatDate(due)}`;
+    } else if (this.isOverdue(task)) {
+      state = 'overdue';
+      text = task.autoReturn && task.status === 'assigned'
+        ? 'Overdue · returning to open'
+        : `Overdue · was due ${utils.formatDate(due)}`;
+    } else if (remaining < DEADLINE_SOON_MS) {
+      state = 'soon';
+    }
+
+    return `
+      <span class="deadline ${state}" data-task-id="${task._id}" title="${due.toLocaleString()}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+          <circle cx="12" cy="12" r="10"/>
+          <polyline points="12 6 12 12 16 14"/>
+        </svg>
+        ${text}
+      </span>
+    `;
+  },
+
+  /**
+   * Keep the deadline countdowns inside a container current
+   * @param {HTMLElement} container - Element holding renderDeadline output
+   * @param {Function} findTask - Looks up a task by id
+   * @returns {Function} Cleanup - stops the timer
+   */
+  watchDeadlines(container, findTask) {
+    const timer = setInterval(() => {
+      container.querySelectorAll('.deadline[data-task-id]').forEach(el => {
+        const task = findTask(el.dataset.taskId);
+        if (task) el.outerHTML = this.renderDeadline(task).trim();
+      });
+    }, DEADLINE_TICK_MS);
+
+    return () => clearInterval(timer);
+  },
+
+  /**
+   * Whether the task is in a state that can be escalated to a dispute
+   * @param {object} task - Task
+   * @returns {boolean}
+   */
+  isDisputable(task) {
+    return DISPUTABLE_STATUSES.includes(task.status);
+  },
+
+  /**
+   * Link to the task's dispute, if it has one
+   * @param {object} task - Task
+   * @returns {string|null} Hash URL
+   */
+  getDisputeHref(task) {
+    const disputeId = task.dispute?._id || task.dispute;
+    return disputeId ? router.href(`/disputes/${disputeId}`) : null;
+  },
+
+  /**
+   * Feedback the worker still has to address, if the last submission was sent back
+   * @param {object} task - Task, or a worker's slot on a multi-slot task
+   * @returns {object|null} Latest revision ({ notes, feedback, requestedAt, ... })
+   */
+  getPendingFeedback(task) {
+    if (task.status !== 'assigned') return null;
+    const revisions = task.revisions || [];
+    const latest = revisions[revisions.length - 1];
+    return latest && latest.feedback ? latest : null;
+  },
+
+  /**
+   * Assign an open task to the current user
+   * @param {string} taskId - Task ID
+   * @param {HTMLElement} btn - Button to show a loading state on
+   * @returns {Promise<boolean>} Whether the task was assigned
+   */
+  async assign(taskId, btn) {
+    if (btn) utils.showLoading(btn);
+
+    try {
+      await apiService.tasks.assign(taskId);
+      uiComponents.toast.success('Task assigned successfully!');
+      return true;
+    } catch (error) {
+      console.error('Failed to assign task:', error);
+      uiComponents.toast.error(utils.parseError(error));
+      if (btn) utils.hideLoading(btn);
+      return false;
+    }
+  },
+
+  /**
+   * Apply for a task that accepts applications, with a pitch and optional counter-offer
+   * @param {object} task - Open task
+   * @param {object} options - { onDone: called after the application was sent }
+   */
+  openApplyModal(task, options = {}) {
+    const { onDone = null } = options;
+    // The milestones add up to the posted reward, so it can't be renegotiated
+    const allowOffer = !this.hasMilestones(task);
+
+    const content = `
+      <div class="form-group">
+        <label class="form-label" for="applyPitch">Why you?</label>
+        <textarea id="applyPitch" class="form-textarea" rows="4" maxlength="500" placeholder="Relevant experience, how you'd approach it, when you can deliver..." required></textarea>
+      </div>
+      ${allowOffer ? `
+        <div class="form-group">
+          <label class="form-label" for="applyCoins">Counter-offer (optional)</label>
+          <input type="number" id="applyCoins" class="form-input" min="1" step="1" placeholder="${task.coins}">
+          <p class="text-xs text-secondary mt-2">Leave empty to accept the posted reward of ${utils.formatNumber(task.coins)} coins</p>
+        </div>
+      ` : ''}
+    `;
+
+    const footer = `
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="apply">Send Application</button>
+    `;
+
+    const { modal, close } = uiComponents.modal.show({
+      title: 'Apply for Task',
+      content,
+      footer,
+      closeOnBackdrop: false,
+    });
+
+    // Handle buttons
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+
+      if (action === 'cancel') {
+        close();
+      } else if (action === 'apply') {
+        const pitch = modal.querySelector('#applyPitch').value.trim();
+        const coinsValue = allowOffer ? modal.querySelector('#applyCoins').value.trim() : '';
+        const coins = coinsValue ? parseInt(coinsValue) : null;
+
+        if (pitch.length < 10) {
+          uiComponents.toast.error('Pitch must be at least 10 characters');
+          return;
+        }
+
+        if (coinsValue && (!coins || isNaN(coins) || coins < 1)) {
+          uiComponents.toast.error('Minimum 1 coin required');
+          return;
+        }
+
+        try {
+          e.target.disabled = true;
+          e.target.textContent = 'Sending...';
+
+          await apiService.tasks.apply(task._id, { pitch, coins });
+
+          uiComponents.toast.success('Application sent! The poster will pick a worker.');
+          close();
+          if (onDone) await onDone();
+        } catch (error) {
+          console.error('Failed to apply for task:', error);
+          uiComponents.toast.error(utils.parseError(error));
+          e.target.disabled = false;
+          e.target.textContent = 'Send Application';
+        }
+      }
+    });
+  },
+
+  /**
+   * Applicant list for the poster of a task accepting applications
+   * Each "Choose" button carries data-action="choose-applicant" and data-application-id
+   * @param {object} task - Open task with its applications
+   * @returns {string} HTML string
+   */
+  renderApplicants(task) {
+    const applications = task.applications || [];
+
+    if (applications.length === 0) {
+      return `
+        <div class="worker-list">
+          <div class="submission-notes-label">Applicants</div>
+          <p class="text-sm text-secondary">No applications yet.</p>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="worker-list">
+        <div class="submission-notes-label">Applicants (${applications.length})</div>
+        ${applications.map(application => {
+          const applicant = application.applicant || {};
+          const name = utils.sanitizeHTML(applicant.name || 'Unknown');
+
+          return `
+            <div class="worker-row">
+              <div class="flex-1" style="min-width: 0;">
+                <div class="flex items-center gap-2 flex-wrap">
+                  ${applicant._id ? `<a href="#/users/${encodeURIComponent(applicant._id)}" class="font-medium">${name}</a>` : `<span class="font-medium">${name}</span>`}
+                  <span class="text-sm text-warning">★ ${(applicant.rating || 0).toFixed(1)}</span>
+                  ${application.coins && application.coins !== task.coins ? `
+                    <span class="badge badge-warning">Asks ${utils.formatNumber(application.coins)} coins</span>
+                  ` : ''}
+                </div>
+                <p class="text-sm text-secondary">${utils.sanitizeHTML(application.pitch || '')}</p>
+              </div>
+              <button class="btn btn-primary btn-sm" data-action="choose-applicant" data-application-id="${application._id}">Choose</button>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * Per-slot submission list for the poster of a multi-slot task
+   * Buttons carry data-action="approve-slot" / "request-changes-slot" and data-assignment-id
+   * @param {object} task - Multi-slot task with its assignments
+   * @returns {string} HTML string
+   */
+  renderSlots(task) {
+    const assignments = task.assignments || [];
+
+    return `
+      <div class="worker-list">
+        <div class="submission-notes-label">
+          Slots · ${this.getFilledSlots(task)} of ${this.getSlots(task)} filled
+        </div>
+        ${assignments.length === 0 ? `
+          <p class="text-sm text-secondary">Nobody has taken a slot yet.</p>
+        ` : assignments.map(assignment => {
+          const worker = assignment.worker || {};
+          const name = utils.sanitizeHTML(worker.name || 'Unknown');
+
+          return `
+            <div class="worker-row">
+              <div class="flex-1" style="min-width: 0;">
+                <div class="flex items-center gap-2 flex-wrap">
+                  ${worker._id ? `<a href="#/users/${encodeURIComponent(worker._id)}" class="font-medium">${name}</a>` : `<span class="font-medium">${name}</span>`}
+                  <span class="badge ${utils.getStatusBadgeClass(assignment.status)}">
+                    ${utils.getStatusDisplayText(assignment.status)}
+                  </span>
+                </div>
+                ${assignment.submissionNotes ? `
+                  <div class="text-sm text-secondary markdown">${markdown.render(assignment.submissionNotes)}</div>
+                ` : ''}
+                ${attachments.renderList(assignment.submissionAttachments, { label: 'Delivered files' })}
+              </div>
+              ${assignment.status === 'submitted' ? `
+                <div class="flex gap-2">
+                  <button class="btn btn-primary btn-sm" data-action="approve-slot" data-assignment-id="${assignment._id}">Approve</button>
+                  <button class="btn btn-outline btn-sm" data-action="request-changes-slot" data-assignment-id="${assignment._id}">Request Changes</button>
+                </div>
+              ` : ''}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * Milestone progress bar and list, with submit / approve buttons for whoever may use them
+   * Buttons carry data-action="submit-milestone" / "approve-milestone" and data-milestone-id
+   * @param {object} task - Task with milestones
+   * @param {object} user - Current user
+   * @returns {string} HTML string
+   */
+  renderMilestones(task, user) {
+    const can = this.getPermissions(task, user);
+    const progress = this.getMilestoneProgress(task);
+
+    return `
+      <div class="worker-list">
+        <div class="flex items-center justify-between">
+          <div class="submission-notes-label">Milestones · ${progress.approved} of ${progress.total} approved</div>
+          <span class="text-xs text-secondary">${utils.formatNumber(progress.released)} / ${utils.formatNumber(task.coins)} coins released</span>
+        </div>
+        <div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress.percent}">
+          <div class="progress-bar" style="width: ${progress.percent}%;"></div>
+        </div>
+        ${task.milestones.map((milestone, index) => `
+          <div class="worker-row">
+            <div class="flex-1" style="min-width: 0;">
+              <div class="flex items-center gap-2 flex-wrap">
+                <span class="font-medium">${index + 1}. ${utils.sanitizeHTML(milestone.title)}</span>
+                <span class="text-sm text-secondary">${utils.formatNumber(milestone.coins)} coins</span>
+                <span class="badge ${MILESTONE_BADGES[milestone.status] || 'badge-secondary'}">
+                  ${utils.getStatusDisplayText(milestone.status)}
+                </span>
+              </div>
+              ${milestone.submissionNotes ? `
+                <div class="text-sm text-secondary markdown">${markdown.render(milestone.submissionNotes)}</div>
+              ` : ''}
+              ${attachments.renderList(milestone.submissionAttachments, { label: 'Delivered files' })}
+            </div>
+            ${can.canSubmitMilestone && milestone.status === 'pending' ? `
+              <button class="btn btn-primary btn-sm" data-action="submit-milestone" data-milestone-id="${milestone._id}">Submit</button>
+            ` : ''}
+            ${can.canApproveMilestone && milestone.status === 'submitted' ? `
+              <button class="btn btn-primary btn-sm" data-action="approve-milestone" data-milestone-id="${milestone._id}">Approve</button>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * Poster approves a submitted milestone and releases its coins
+   * The last one goes through the review modal, which completes the task
+   * @param {object} task - Task with milestones
+   * @param {object} milestone - Submitted milestone
+   * @param {object} options - { onDone }
+   * @returns {Promise<boolean>|void}
+   */
+  approveMilestone(task, milestone, options = {}) {
+    const remaining = task.milestones.filter(m => m.status !== 'approved');
+    if (remaining.length === 1 && remaining[0]._id === milestone._id) {
+      this.openReviewModal(task, { milestone, onDone: options.onDone });
+      return;
+    }
+
+    return confirmAndRun({
+      confirm: {
+        title: 'Approve Milestone',
+        message: `Approve "${milestone.title}" and release ${utils.formatNumber(milestone.coins)} coins to the worker?`,
+        confirmText: 'Approve & Release',
+      },
+      run: () => apiService.tasks.approveMilestone(task._id, milestone._id),
+      success: 'Milestone approved and coins released',
+      // Released coins leave escrow - the balance and wallet split change
+      refreshBalance: true,
+      onDone: options.onDone,
+    });
+  },
+
+  /**
+   * Poster picks an applicant and assigns them the task
+   * @param {object} task - Open task accepting applications
+   * @param {object} application - Application from task.applications
+   * @param {object} options - { onDone }
+   * @returns {Promise<boolean>} Whether the applicant was chosen
+   */
+  acceptApplication(task, application, options = {}) {
+    const name = application.applicant?.name || 'this applicant';
+    const coins = application.coins || task.coins;
+    const currentUser = appShell.currentUser.get();
+
+    // Milestone payouts are fixed shares of the posted reward
+    if (this.hasMilestones(task) && coins !== task.coins) {
+      uiComponents.toast.error("This task is split into milestones, so it can't take a counter-offer");
+      return Promise.resolve(false);
+    }
+
+    // A higher counter-offer has to come out of the balance, like raising the reward
+    if (currentUser && coins - task.coins > currentUser.coins) {
+      uiComponents.toast.error(`Insufficient balance. You have ${utils.formatNumber(currentUser.coins)} coins`);
+      return Promise.resolve(false);
+    }
+
+    const rewardNote = coins === task.coins
+      ? ''
+      : ` The reward becomes their counter-offer of ${utils.formatNumber(coins)} coins.`;
+
+    return confirmAndRun({
+      confirm: {
+        title: 'Choose Worker',
+        message: `Assign "${task.title}" to ${name}? The other applicants will be turned down.${rewardNote}`,
+        confirmText: 'Assign',
+      },
+      run: () => apiService.tasks.acceptApplication(task._id, application._id),
+      success: `Task assigned to ${name}`,
+      refreshBalance: coins !== task.coins,
+      onDone: options.onDone,
+    });
+  },
+
+  /**
+   * Poster withdraws an open task and gets the escrowed coins back
+   * @param {object} task - Task to cancel
+   * @param {object} options - { onDone }
+   * @returns {Promise<boolean>} Whether the task was cancelled
+   */
+  cancel(task, options = {}) {
+    return confirmAndRun({
+      confirm: {
+        title: 'Cancel Task',
+        message: `Cancel "${task.title}"? The ${utils.formatNumber(this.getEscrowTotal(task))} escrowed coins will be returned to your balance.`,
+        confirmText: 'Cancel Task',
+        cancelText: 'Keep Task',
+        confirmClass: 'btn-error',
+      },
+      run: () => apiService.tasks.cancel(task._id),
+      success: 'Task cancelled and coins refunded',
+      refreshBalance: true,
+      onDone: options.onDone,
+    });
+  },
+
+  /**
+   * Poster releases the assigned worker; the task reopens for others
+   * @param {object} task - Task to unassign
+   * @param {object} options - { onDone }
+   * @returns {Promise<boolean>} Whether the worker was released
+   */
+  unassign(task, options = {}) {
+    const workerName = task.assignedTo?.name || 'The worker';
+
+    return confirmAndRun({
+      confirm: {
+        title: 'Release Worker',
+        message: `${workerName} will be removed from "${task.title}" and the task will reopen for others.`,
+        confirmText: 'Release Worker',
+        confirmClass: 'btn-error',
+      },
+      run: () => apiService.tasks.unassign(task._id),
+      success: 'Worker released - the task is open again',
+      onDone: options.onDone,
+    });
+  },
+
+  /**
+   * Worker backs out of an assigned task
+   * @param {object} task - Task to withdraw from
+   * @param {object} options - { onDone }
+   * @returns {Promise<boolean>} Whether the worker withdrew
+   */
+  withdraw(task, options = {}) {
+    return confirmAndRun({
+      confirm: {
+        title: 'Withdraw from Task',
+        message: `You will be removed from "${task.title}" and it will reopen for others.`,
+        confirmText: 'Withdraw',
+        confirmClass: 'btn-error',
+      },
+      run: () => apiService.tasks.withdraw(task._id),
+      success: 'You have withdrawn from the task',
+      onDone: options.onDone,
+    });
+  },
+
+  /**
+   * Edit an open task's title, description or reward
+   * @param {object} task - Task to edit
+   * @param {object} options - { onDone: called after a successful update }
+   */
+  openEditModal(task, options = {}) {
+    const { onDone = null } = options;
+
+    const content = `
+      <form id="editTaskForm" novalidate>
+        <div class="form-group">
+          <label class="form-label" for="editTitle">Task Title</label>
+          <input type="text" id="editTitle" class="form-input" maxlength="100" value="${utils.escapeAttribute(task.title)}" required>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="editDescription">Description</label>
+          <textarea id="editDescription" class="form-textarea" rows="6" maxlength="2000" required>${utils.sanitizeHTML(task.description)}</textarea>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="editCoins">${this.isMultiSlot(task) ? 'Coins per Slot' : 'Coins to Offer'}</label>
+          <input type="number" id="editCoins" class="form-input" min="1" step="1" value="${task.coins}" required ${this.hasMilestones(task) ? 'disabled' : ''}>
+          <p class="text-xs text-secondary mt-2">
+            ${this.hasMilestones(task)
+              ? 'The reward is the sum of the milestones'
+              : 'Raising the reward moves the difference into escrow; lowering it refunds the difference'}
+          </p>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="editDeadline">Deadline (optional)</label>
+          <input type="datetime-local" id="editDeadline" class="form-input" value="${utils.toDateTimeLocal(task.deadline)}">
+          <label class="flex items-center gap-2 mt-2 text-sm">
+            <input type="checkbox" id="editAutoReturn" ${task.autoReturn ? 'checked' : ''}>
+            Return the task to open if the worker misses the deadline
+          </label>
+        </div>
+      </form>
+    `;
+
+    const footer = `
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="save">Save Changes</button>
+    `;
+
+    const { modal, close } = uiComponents.modal.show({
+      title: 'Edit Task',
+      content,
+      footer,
+      closeOnBackdrop: false,
+    });
+
+    // Handle buttons
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+
+      if (action === 'cancel') {
+        close();
+      } else if (action === 'save') {
+        const title = modal.querySelector('#editTitle').value.trim();
+        const description = modal.querySelector('#editDescription').value.trim();
+        const coins = parseInt(modal.querySelector('#editCoins').value);
+        const deadlineValue = modal.querySelector('#editDeadline').value;
+        const deadline = deadlineValue ? new Date(deadlineValue) : null;
+        const currentUser = appShell.currentUser.get();
+
+        if (title.length < 5) {
+          uiComponents.toast.error('Title must be at least 5 characters');
+          return;
+        }
+
+        if (description.length < 10) {
+          uiComponents.toast.error('Description must be at least 10 characters');
+          return;
+        }
+
+        if (!coins || isNaN(coins) || coins < 1) {
+          uiComponents.toast.error('Minimum 1 coin required');
+          return;
+        }
+
+        // A deadline that has already passed can stay as it is while other fields are edited
+        const deadlineChanged = deadlineValue !== utils.toDateTimeLocal(task.deadline);
+        if (deadline && deadlineChanged && (isNaN(deadline) || deadline <= new Date())) {
+          uiComponents.toast.error('Deadline must be in the future');
+          return;
+        }
+
+        // Only the increase has to come out of the balance - once per slot
+        if (currentUser && (coins - task.coins) * this.getSlots(task) > currentUser.coins) {
+          uiComponents.toast.error(`Insufficient balance. You have ${utils.formatNumber(currentUser.coins)} coins`);
+          return;
+        }
+
+        try {
+          e.target.disabled = true;
+          e.target.textContent = 'Saving...';
+
+          await apiService.tasks.update(task._id, {
+            title,
+            description,
+            coins,
+            // Unchanged deadlines go back as they were (the input drops the seconds)
+            deadline: deadlineChanged ? (deadline ? deadline.toISOString() : null) : task.deadline || null,
+            autoReturn: !!deadline && modal.querySelector('#editAutoReturn').checked,
+          });
+
+          uiComponents.toast.success('Task updated successfully!');
+          close();
+          if (coins !== task.coins) appShell.currentUser.refresh().catch(() => {});
+          if (onDone) await onDone();
+        } catch (error) {
+          console.error('Failed to update task:', error);
+          uiComponents.toast.error(utils.parseError(error));
+          e.target.disabled = false;
+          e.target.textContent = 'Save Changes';
+        }
+      }
+    });
+  },
+
+  /**
+   * Send submitted work back to the worker with a reason
+   * @param {object} task - Submitted task
+   * @param {object} options - { assignment: slot to send back on a multi-slot task, onDone: called after the request went through }
+   */
+  openRequestChangesModal(task, options = {}) {
+    const { assignment = null, onDone = null } = options;
+
+    const content = `
+      <div class="form-group">
+        <label class="form-label" for="changesReason">What needs to change?</label>
+        <textarea id="changesReason" class="form-input" rows="5" maxlength="2000" placeholder="Be specific so the worker can fix it in one go..." required></textarea>
+        <small class="form-help">The task goes back to the worker; no coins are paid until you approve</small>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="send">Request Changes</button>
+    `;
+
+    const { modal, close } = uiComponents.modal.show({
+      title: 'Request Changes',
+      content,
+      footer,
+      closeOnBackdrop: false,
+    });
+
+    // Handle buttons
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+
+      if (action === 'cancel') {
+        close();
+      } else if (action === 'send') {
+        const reason = modal.querySelector('#changesReason').value.trim();
+
+        if (!reason) {
+          uiComponents.toast.error('Please explain what needs to change');
+          return;
+        }
+
+        try {
+          e.target.disabled = true;
+          e.target.textContent = 'Sending...';
+
+          await apiService.tasks.requestChanges(task._id, { reason, assignmentId: assignment?._id });
+
+          uiComponents.toast.success('Changes requested - the task is back with the worker');
+          close();
+          if (onDone) await onDone();
+        } catch (error) {
+          console.error('Failed to request changes:', error);
+          uiComponents.toast.error(utils.parseError(error));
+          e.target.disabled = false;
+          e.target.textContent = 'Request Changes';
+        }
+      }
+    });
+  },
+
+  /**
+   * Escalate a task to arbitration; escrow is frozen until it's resolved
+   * @param {object} task - Assigned or submitted task
+   */
+  openDisputeModal(task) {
+    // Approved milestones are already paid out - only the rest is still held
+    const escrowed = this.hasMilestones(task) ? this.getMilestoneProgress(task).held : task.coins;
+
+    const content = `
+      <p class="text-secondary mb-4">
+        An arbitrator will review the task, both sides' evidence and messages, then decide on a full, partial or no payout. The ${utils.formatNumber(escrowed)} escrowed coins stay locked until then.
+      </p>
+      <div class="form-group">
+        <label class="form-label" for="disputeReason">What went wrong?</label>
+        <textarea id="disputeReason" class="form-input" rows="4" maxlength="2000" placeholder="e.g. Work was submitted a week ago and the poster hasn't responded" required></textarea>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="disputeEvidence">Evidence (optional)</label>
+        <textarea id="disputeEvidence" class="form-input" rows="3" maxlength="2000" placeholder="Links to deliverables, screenshots, timeline of events..."></textarea>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-error" data-action="open">Open Dispute</button>
+    `;
+
+    const { modal, close } = uiComponents.modal.show({
+      title: 'Open Dispute',
+      content,
+      footer,
+      closeOnBackdrop: false,
+    });
+
+    // Handle buttons
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+
+      if (action === 'cancel') {
+        close();
+      } else if (action === 'open') {
+        const reason = modal.querySelector('#disputeReason').value.trim();
+        const evidence = modal.querySelector('#disputeEvidence').value.trim();
+
+        if (!reason) {
+          uiComponents.toast.error('Please describe the problem');
+          return;
+        }
+
+        try {
+          e.target.disabled = true;
+          e.target.textContent = 'Opening...';
+
+          const response = await apiService.disputes.open({ taskId: task._id, reason, evidence });
+          const dispute = response.dispute || response;
+
+          uiComponents.toast.success('Dispute opened - an arbitrator will be in touch');
+          close();
+          router.navigate(`/disputes/${dispute._id}`);
+        } catch (error) {
+          console.error('Failed to open dispute:', error);
+          uiComponents.toast.error(utils.parseError(error));
+          e.target.disabled = false;
+          e.target.textContent = 'Open Dispute';
+        }
+      }
+    });
+  },
+
+  /**
+   * Rate the worker and approve a submitted task, releasing the coins (plus an optional tip)
+   * @param {object} task - Task being approved
+   * @param {object} options - { assignment: slot to approve on a multi-slot task, milestone: final milestone of a milestone task, onDone: called after a successful approval }
+   */
+  openReviewModal(task, options = {}) {
+    const { assignment = null, milestone = null, onDone = null } = options;
+    const worker = assignment ? assignment.worker : task.assignedTo;
+    let selectedRating = 0;
+
+    const content = `
+      <div class="form-group">
+        <label class="form-label">Rating</label>
+        <div class="rating-input" style="display: flex; gap: 8px; font-size: 32px; cursor: pointer;">
+          <span class="star" data-rating="1">☆</span>
+          <span class="star" data-rating="2">☆</span>
+          <span class="star" data-rating="3">☆</span>
+          <span class="star" data-rating="4">☆</span>
+          <span class="star" data-rating="5">☆</span>
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="reviewText">Review</label>
+        <textarea id="reviewText" class="form-input" rows="4" placeholder="Write your review..."></textarea>
+      </div>
+      <div class="form-group">
+        <label class="flex items-center gap-2 text-sm">
+          <input type="checkbox" id="addTip">
+          Add a tip for great work
+        </label>
+      </div>
+      <div id="tipFields" class="hidden">
+        ${walletActions.renderFields('tip')}
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="approve">Approve Task</button>
+    `;
+
+    const { modal, close } = uiComponents.modal.show({
+      title: 'Review & Approve Task',
+      content,
+      footer,
+      closeOnBackdrop: false,
+    });
+
+    // Star rating interaction
+    const stars = modal.querySelectorAll('.star');
+    const paintStars = (rating) => {
+      stars.forEach((s, idx) => {
+        s.textContent = idx < rating ? '★' : '☆';
+        s.style.color = idx < rating ? '#fbbf24' : '#d1d5db';
+      });
+    };
+
+    stars.forEach(star => {
+      star.addEventListener('click', () => {
+        selectedRating = parseInt(star.dataset.rating);
+        paintStars(selectedRating);
+      });
+
+      star.addEventListener('mouseenter', () => {
+        paintStars(parseInt(star.dataset.rating));
+      });
+    });
+
+    modal.querySelector('.rating-input').addEventListener('mouseleave', () => {
+      paintStars(selectedRating);
+    });
+
+    modal.querySelector('#addTip').addEventListener('change', (e) => {
+      modal.querySelector('#tipFields').classList.toggle('hidden', !e.target.checked);
+    });
+
+    // Handle buttons
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+
+      if (action === 'cancel') {
+        close();
+      } else if (action === 'approve') {
+        const reviewText = modal.querySelector('#reviewText').value.trim();
+
+        if (selectedRating === 0) {
+          uiComponents.toast.error('Please select a rating');
+          return;
+        }
+
+        if (!reviewText) {
+          uiComponents.toast.error('Please write a review');
+          return;
+        }
+
+        // The tip comes out of the poster's available balance, on top of the escrowed reward
+        let tip = null;
+        if (modal.querySelector('#addTip').checked) {
+          const fields = walletActions.readFields(modal, 'tip');
+          if (!fields) return;
+
+          tip = { ...fields, taskId: task._id };
+          if (!(await walletActions.confirm(worker, tip))) return;
+        }
+
+        const approveBtn = e.target;
+
+        try {
+          approveBtn.disabled = true;
+          approveBtn.textContent = 'Approving...';
+
+          await apiService.tasks.approve(task._id, {
+            rating: selectedRating,
+            review: reviewText,
+            assignmentId: assignment?._id,
+            milestoneId: milestone?._id,
+          });
+
+          // Publish the review on the worker's profile. The approval has
+          // already gone through, so a failure here is only a warning.
+          try {
+            await apiService.reviews.give({
+              taskId: task._id,
+              revieweeId: userId(worker),
+              rating: selectedRating,
+              comment: reviewText,
+            });
+            uiComponents.toast.success('Task approved successfully!');
+          } catch (reviewError) {
+            console.error('Failed to post review:', reviewError);
+            uiComponents.toast.warning('Task approved, but your review could not be posted');
+          }
+
+          // Same for the tip: the approval stands even if the transfer fails
+          if (tip) {
+            try {
+              await walletActions.transfer(worker, tip);
+              uiComponents.toast.success(`Tip of ${utils.formatNumber(tip.amount)} coins sent`);
+            } catch (tipError) {
+              console.error('Failed to send tip:', tipError);
+              uiComponents.toast.warning('Task approved, but your tip could not be sent');
+            }
+          }
+
+          close();
+          // Escrowed coins were released - update the balance everywhere
+          appShell.currentUser.refresh().catch(() => {});
+          if (onDone) await onDone();
+        } catch (error) {
+          console.error('Failed to approve task:', error);
+          uiComponents.toast.error(utils.parseError(error));
+          approveBtn.disabled = false;
+          approveBtn.textContent = 'Approve Task';
+        }
+      }
+    });
+  },
+
+  /**
+   * Submit work on an assigned task, with notes for the poster
+   * @param {object} task - Task being submitted
+   * @param {object} options - { milestone: submit just this milestone, onDone: called after a successful submission }
+   */
+  openSubmitModal(task, options = {}) {
+    const { milestone = null, onDone = null } = options;
+    // On a multi-slot task the feedback lives on the worker's own slot
+    const feedback = milestone ? null : this.isMultiSlot(task)
+      ? this.getPendingFeedback(this.getMyAssignment(task, appShell.currentUser.get()) || {})
+      : this.getPendingFeedback(task);
+
+    const content = `
+      ${feedback ? `
+        <div class="submission-notes changes-requested">
+          <div class="submission-notes-label">Changes requested</div>
+          <p>${utils.sanitizeHTML(feedback.feedback)}</p>
+        </div>
+      ` : ''}
+      <div class="form-group">
+        <label class="form-label" for="submissionNotes">Submission Notes</label>
+        ${markdown.renderEditorTabs('submissionNotes')}
+        <textarea id="submissionNotes" class="form-input" rows="6" placeholder="Describe the work you've completed..." required></textarea>
+        <small class="form-help">Provide details about your completed work</small>
+      </div>
+      ${attachments.renderDropzone('submission')}
+    `;
+
+    const footer = `
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="submit">Submit Work</button>
+    `;
+
+    const { modal, close } = uiComponents.modal.show({
+      title: milestone ? `Submit Milestone: ${milestone.title}` : feedback ? 'Resubmit Your Work' : 'Submit Your Work',
+      content,
+      footer,
+      closeOnBackdrop: false,
+      onClose: () => dropzone.destroy(),
+    });
+    const dropzone = attachments.mountDropzone(modal, 'submission');
+    markdown.mountEditor(modal, 'submissionNotes');
+
+    // Handle buttons
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+
+      if (action === 'cancel') {
+        close();
+      } else if (action === 'submit') {
+        const notes = modal.querySelector('#submissionNotes').value.trim();
+
+        if (!notes) {
+          uiComponents.toast.error('Please provide submission notes');
+          return;
+        }
+
+        if (dropzone.isUploading()) {
+          uiComponents.toast.warning('Please wait for your files to finish uploading');
+          return;
+        }
+        const files = dropzone.getIds();
+
+        try {
+          e.target.disabled = true;
+          e.target.textContent = 'Submitting...';
+
+          const response = milestone
+            ? await apiService.tasks.submitMilestone(task._id, { milestoneId: milestone._id, notes, attachments: files })
+            : await apiService.tasks.submit(task._id, { notes, attachments: files });
+
+          if (response.queued) {
+            uiComponents.toast.info("You're offline - your work will be submitted when you're back online");
+          } else {
+            uiComponents.toast.success('Work submitted successfully!');
+          }
+          close();
+          if (onDone) await onDone();
+        } catch (error) {
+          console.error('Failed to submit work:', error);
+          uiComponents.toast.error(utils.parseError(error));
+          e.target.disabled = false;
+          e.target.textContent = 'Submit Work';
+        }
+      }
+    });
+  },
+};
+
+export default taskActions;
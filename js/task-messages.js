@@ -0,0 +1,262 @@
+/**
+ * Task Messages Module
+ * The message thread between a task's poster and its worker(s): rendering, sending and polling
+ */
+
+import apiService from './api.js';
+import utils from './utils.js';
+import uiComponents from './components.js';
+import appShell from './app-shell.js';
+import markdown from './markdown.js';
+
+// An open thread checks for new messages this often
+const THREAD_POLL_MS = 10 * 1000;
+
+// Finished tasks keep their thread readable, but nobody can add to it
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const BODY_MAX_LENGTH = 2000;
+
+/**
+ * Id of a user reference, which the API sends either populated or as a bare id
+ * @param {object|string} user - User object or id
+ * @returns {string|null} User id
+ */
+function userId(user) {
+  if (!user) return null;
+  return typeof user === 'string' ? user : user._id;
+}
+
+const taskMessages = {
+  /**
+   * Small pill with an unread count
+   * @param {number} count - Unread messages
+   * @param {string} key - Task id (or other key) that lets applyUnreadCounts update it later
+   * @returns {string} HTML string (hidden when the count is 0)
+   */
+  renderUnreadCount(count = 0, key = '') {
+    return `
+      <span class="unread-count ${count > 0 ? '' : 'hidden'}" ${key ? `data-unread-for="${key}"` : ''}>${count}</span>
+    `;
+  },
+
+  /**
+   * "Messages" button for a task card; carries data-action="open-messages"
+   * @param {object} task - Task
+   * @param {number} unread - Unread messages on it
+   * @returns {string} HTML string
+   */
+  renderMessagesButton(task, unread = 0) {
+    return `
+      <button class="btn btn-ghost btn-sm" data-action="open-messages">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+          <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+        </svg>
+        Messages
+        ${this.renderUnreadCount(unread, task._id)}
+      </button>
+    `;
+  },
+
+  /**
+   * Update the unread pills rendered by renderMessagesButton without re-rendering the cards
+   * @param {HTMLElement} root - Element containing the pills
+   * @param {object} counts - { [key]: count }, keyed like renderUnreadCount
+   */
+  applyUnreadCounts(root, counts = {}) {
+    root.querySelectorAll('[data-unread-for]').forEach(pill => {
+      const count = counts[pill.dataset.unreadFor] || 0;
+      pill.textContent = count;
+      pill.classList.toggle('hidden', count === 0);
+    });
+  },
+
+  /**
+   * Render a list of messages
+   * @param {object[]} messages - Oldest first
+   * @returns {string} HTML string
+   */
+  renderMessages(messages) {
+    const me = userId(appShell.currentUser.get());
+
+    if (messages.length === 0) {
+      return '<p class="text-secondary text-sm">No messages yet. Ask a question or share an update.</p>';
+    }
+
+    return messages.map(message => {
+      const author = message.author || {};
+      const mine = userId(author) === me;
+
+      return `
+        <div class="message ${mine ? 'mine' : 'theirs'}">
+          <div class="text-xs text-secondary mb-1">
+            ${mine ? 'You' : utils.sanitizeHTML(author.name || 'Unknown')} · ${utils.formatDate(message.createdAt)}
+          </div>
+          <div class="markdown">${markdown.render(message.body)}</div>
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Whether new messages can be sent on a task's thread (read-only once it's closed)
+   * @param {object} task - Task
+   * @returns {boolean}
+   */
+  isOpen(task) {
+    return !CLOSED_STATUSES.includes(task.status);
+  },
+
+  /**
+   * Load a task's thread into a container, keep it up to date and mark it read
+   * @param {HTMLElement} container - Element to render the thread and composer into
+   * @param {object} task - Task the thread belongs to
+   * @param {object} options - { onRead: called after new messages were marked read }
+   * @returns {Function} Cleanup - stops polling
+   */
+  mountThread(container, task, options = {}) {
+    const { onRead = null } = options;
+    const isOpen = this.isOpen(task);
+    let messages = [];
+    let loaded = false;
+    let loading = false;
+    let stopped = false;
+
+    container.innerHTML = `
+      <div class="message-list" aria-live="polite">
+        <div class="skeleton skeleton-text"></div>
+        <div class="skeleton skeleton-text" style="width: 60%;"></div>
+      </div>
+      ${isOpen ? `
+        <form class="message-form" novalidate>
+          <textarea class="form-textarea" rows="2" maxlength="${BODY_MAX_LENGTH}" placeholder="Write a message... (Ctrl+Enter to send)" aria-label="Message" required></textarea>
+          <button type="submit" class="btn btn-primary">Send</button>
+        </form>
+      ` : `
+        <p class="text-xs text-secondary mt-2">This task is closed - the thread is read-only.</p>
+      `}
+    `;
+
+    const list = container.querySelector('.message-list');
+    const form = container.querySelector('.message-form');
+
+    const render = () => {
+      list.innerHTML = this.renderMessages(messages);
+      list.scrollTop = list.scrollHeight;
+    };
+
+    // Add messages we haven't shown yet; returns the ones that were new
+    const merge = (incoming) => {
+      const fresh = incoming.filter(m => !messages.some(existing => existing._id === m._id));
+      messages = messages.concat(fresh);
+      return fresh;
+    };
+
+    const markRead = async () => {
+      try {
+        await apiService.messages.markRead(task._id);
+        if (!stopped && onRead) onRead();
+      } catch (error) {
+        console.error('Failed to mark messages read:', error);
+      }
+    };
+
+    // Fetch what's new since the last message shown
+    const load = async () => {
+      if (loading || stopped) return;
+      loading = true;
+
+      try {
+        const last = messages[messages.length - 1];
+        const response = await apiService.messages.getThread(task._id, { after: last?._id });
+        if (stopped) return;
+
+        const fresh = merge(response.messages || response || []);
+        if (fresh.length > 0 || !loaded) render();
+
+        const me = userId(appShell.currentUser.get());
+        if (fresh.some(m => userId(m.author) !== me)) markRead();
+        loaded = true;
+      } catch (error) {
+        if (stopped) return;
+
+        console.error('Failed to load messages:', error);
+        if (!loaded) {
+          list.innerHTML = '<p class="text-error text-sm">Failed to load messages. Please try again.</p>';
+        }
+      } finally {
+        loading = false;
+      }
+    };
+
+    if (form) {
+      const textarea = form.querySelector('textarea');
+      const sendBtn = form.querySelector('button[type="submit"]');
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = textarea.value.trim();
+        if (!body) return;
+
+        utils.showLoading(sendBtn);
+        try {
+          const response = await apiService.messages.send(task._id, { body });
+          if (stopped) return;
+
+          merge([response.message || response]);
+          render();
+          textarea.value = '';
+        } catch (error) {
+          console.error('Failed to send message:', error);
+          uiComponents.toast.error(utils.parseError(error));
+        } finally {
+          utils.hideLoading(sendBtn);
+        }
+      });
+
+      textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) form.requestSubmit();
+      });
+    }
+
+    // Poll while the page is visible; catch up as soon as it's shown again
+    const timer = setInterval(() => {
+      if (document.visibilityState !== 'hidden') load();
+    }, THREAD_POLL_MS);
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') load();
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    load();
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  },
+
+  /**
+   * Open a task's thread in a modal
+   * @param {object} task - Task
+   * @param {object} options - { onClose: called when the modal closes, e.g. to refresh unread counts }
+   */
+  openThreadModal(task, options = {}) {
+    const { onClose = null } = options;
+    let stop = () => {};
+
+    const { modal } = uiComponents.modal.show({
+      title: `Messages · ${task.title}`,
+      content: '<div class="message-thread"></div>',
+      onClose: () => {
+        stop();
+        if (onClose) onClose();
+      },
+    });
+
+    stop = this.mountThread(modal.querySelector('.message-thread'), task);
+  },
+};
+
+export default taskMessages;
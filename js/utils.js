@@ -3,9 +3,12 @@
  * Reusable helper functions for the application
  */
 
+import session from './session.js';
+
 const utils = {
   /**
    * Format date to readable string
+   * Recent dates read as "3 hours ago", upcoming ones (deadlines) as "in 3 hours"
    * @param {string|Date} date - Date to format
    * @returns {string} Formatted date string
    */
@@ -15,28 +18,31 @@ const utils = {
     const d = new Date(date);
     const now = new Date();
     const diff = now - d;
+    const isFuture = diff < 0;
+    const span = Math.abs(diff);
+    const relative = (count, unit) => {
+      const label = `${count} ${count === 1 ? unit : `${unit}s`}`;
+      return isFuture ? `in ${label}` : `${label} ago`;
+    };
     
     // Less than 1 minute
-    if (diff < 60000) {
-      return 'Just now';
+    if (span < 60000) {
+      return isFuture ? 'in under a minute' : 'Just now';
     }
     
     // Less than 1 hour
-    if (diff < 3600000) {
-      const minutes = Math.floor(diff / 60000);
-      return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'} ago`;
+    if (span < 3600000) {
+      return relative(Math.floor(span / 60000), 'minute');
     }
     
     // Less than 24 hours
-    if (diff < 86400000) {
-      const hours = Math.floor(diff / 3600000);
-      return `${hours} ${hours === 1 ? 'hour' : 'hours'} ago`;
+    if (span < 86400000) {
+      return relative(Math.floor(span / 3600000), 'hour');
     }
     
     // Less than 7 days
-    if (diff < 604800000) {
-      const days = Math.floor(diff / 86400000);
-      return `${days} ${days === 1 ? 'day' : 'days'} ago`;
+    if (span < 604800000) {
+      return relative(Math.floor(span / 86400000), 'day');
     }
     
     // Format as date
@@ -44,6 +50,21 @@ const utils = {
     return d.toLocaleDateString('en-US', options);
   },
 
+  /**
+   * Value for a datetime-local input (local time, minute precision)
+   * @param {string|Date} date - Date to convert
+   * @returns {string} "YYYY-MM-DDTHH:mm", or '' for no date
+   */
+  toDateTimeLocal(date) {
+    if (!date) return '';
+
+    const d = new Date(date);
+    if (isNaN(d)) return '';
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  },
+
   /**
    * Truncate text to specified length
    * @param {string} text - Text to truncate
@@ -140,6 +161,7 @@ const utils = {
       submitted: 'badge-warning',
       completed: 'badge-success',
       cancelled: 'badge-error',
+      disputed: 'badge-error',
       pending: 'badge-warning',
     };
     
@@ -197,6 +219,36 @@ const utils = {
     return div.innerHTML;
   },
 
+  /**
+   * Escape text for use inside a double-quoted HTML attribute
+   * sanitizeHTML leaves quotes alone, which is only safe outside attributes
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeAttribute(text) {
+    return this.sanitizeHTML(text).replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Check a URL before it goes into an href or src
+   * Only http(s) (and optionally mailto) get through, so a javascript: or data:
+   * link from user or server input never ends up on the page
+   * @param {string} value - URL to check
+   * @param {object} options - { mailto: also allow mailto: links, relative: resolve relative URLs against the page }
+   * @returns {string|null} Normalized URL, or null if it isn't allowed
+   */
+  safeUrl(value, options = {}) {
+    const { mailto = false, relative = false } = options;
+    const protocols = mailto ? ['http:', 'https:', 'mailto:'] : ['http:', 'https:'];
+
+    try {
+      const url = relative ? new URL(value, window.location.href) : new URL(value);
+      return protocols.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
   /**
    * Copy text to clipboard
    * @param {string} text - Text to copy
@@ -214,23 +266,22 @@ const utils = {
 
   /**
    * Check if user is authenticated
-   * Verifies presence of JWT token in localStorage
+   * Verifies presence of a non-expired JWT (see session.js)
    * @returns {boolean} Is authenticated
    */
   isAuthenticated() {
-    return !!localStorage.getItem('auth_token');
+    return session.isAuthenticated();
   },
 
   /**
    * Protected Route Guard
    * Redirect to login if not authenticated
    * Call this function at the top of every protected page script
-   * Prevents unauthorized access by checking for valid JWT token
+   * Also starts the session expiry and cross-tab logout watchers
+   * @returns {boolean} False when redirecting to login
    */
   requireAuth() {
-    if (!this.isAuthenticated()) {
-      window.location.href = '/pages/login.html';
-    }
+    return session.guard();
   },
 
   /**
@@ -252,7 +303,7 @@ const utils = {
     const bottomNavItems = document.querySelectorAll('.bottom-nav .nav-item');
     bottomNavItems.forEach(item => {
       const href = item.getAttribute('href');
-      if (href && href.includes(activePage)) {
+      if (href && activePage && href.includes(activePage)) {
         item.classList.add('active');
       } else {
         item.classList.remove('active');
@@ -263,7 +314,7 @@ const utils = {
     const sidebarItems = document.querySelectorAll('.sidebar-nav .sidebar-item');
     sidebarItems.forEach(item => {
       const href = item.getAttribute('href');
-      if (href && href.includes(activePage)) {
+      if (href && activePage && href.includes(activePage)) {
         item.classList.add('active');
       } else {
         item.classList.remove('active');
@@ -348,7 +399,4 @@ const utils = {
   },
 };
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = utils;
-}
+export default utils;
@@ -0,0 +1,537 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import router from '../router.js';
+import taskActions from '../task-actions.js';
+import tags from '../tags.js';
+import markdown from '../markdown.js';
+import live from '../live.js';
+
+const PAGE_SIZE = 20;
+
+let tasks = [];
+let nextCursor = null;
+let requestId = 0;
+
+// Active filters, sent to the server as query params
+const DEFAULT_FILTERS = {
+  status: 'open',
+  q: '',
+  category: '',
+  tags: [],
+  minCoins: '',
+  maxCoins: '',
+  sort: 'newest',
+};
+
+const filters = { ...DEFAULT_FILTERS };
+
+// Elements are looked up on mount - the view's markup is re-rendered on every visit
+let tasksList = null;
+let loadMoreBtn = null;
+let searchInput = null;
+let minCoinsInput = null;
+let maxCoinsInput = null;
+let sortSelect = null;
+let categorySelect = null;
+let tagInput = null;
+
+// Render task card
+function renderTaskCard(task) {
+  const excerpt = markdown.renderExcerpt(task.description, 120);
+
+  return `
+    <div class="task-card" data-task-id="${task._id}">
+      <div class="task-header">
+        <div class="flex-1">
+          <h3 class="task-title"><a href="#/tasks/${task._id}">${utils.sanitizeHTML(task.title)}</a></h3>
+          <span class="badge ${utils.getStatusBadgeClass(task.status)}">
+            ${utils.getStatusDisplayText(task.status)}
+          </span>
+        </div>
+        <div class="task-coins">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="24" height="24">
+            <circle cx="12" cy="12" r="10"/>
+            <path d="M12 6v6l4 2"/>
+          </svg>
+          ${utils.formatNumber(task.coins)}
+        </div>
+      </div>
+
+      <div class="task-description markdown">
+        ${excerpt.html}
+        ${excerpt.truncated ? `<a href="#/tasks/${task._id}" class="btn btn-ghost btn-sm p-0">View details</a>` : ''}
+      </div>
+
+      <div class="task-meta">
+        <div class="task-meta-item">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/>
+            <circle cx="12" cy="7" r="4"/>
+          </svg>
+          <span>${utils.sanitizeHTML(task.owner?.name || 'Unknown')}</span>
+        </div>
+        <div class="task-meta-item">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+            <circle cx="12" cy="12" r="10"/>
+            <polyline points="12 6 12 12 16 14"/>
+          </svg>
+          <span>${utils.formatDate(task.createdAt)}</span>
+        </div>
+        ${task.category ? `
+          <div class="task-meta-item">
+            <span class="badge badge-info">${utils.sanitizeHTML(tags.getCategoryLabel(task.category))}</span>
+          </div>
+        ` : ''}
+        ${task.deadline ? `
+          <div class="task-meta-item">${taskActions.renderDeadline(task)}</div>
+        ` : ''}
+        ${taskActions.isMultiSlot(task) ? `
+          <div class="task-meta-item">
+            <span class="badge badge-secondary">${taskActions.getFilledSlots(task)} of ${taskActions.getSlots(task)} slots filled</span>
+          </div>
+        ` : ''}
+        ${task.acceptApplications ? `
+          <div class="task-meta-item">
+            <span class="badge badge-secondary">Accepting applications${task.applicationCount ? ` · ${task.applicationCount}` : ''}</span>
+          </div>
+        ` : ''}
+      </div>
+
+      ${tags.renderChips(task.tags, { clickable: true })}
+
+      ${task.status === 'open' && task.acceptApplications ? `
+        <div class="task-actions">
+          ${task.myApplication ? `
+            <button class="btn btn-outline flex-1" disabled>Application Sent</button>
+          ` : `
+            <button class="btn btn-primary flex-1" onclick="applyForTask('${task._id}')">Apply</button>
+          `}
+        </div>
+      ` : ''}
+
+      ${task.status === 'open' && task.myAssignment ? `
+        <div class="task-actions">
+          <a href="#/tasks/${task._id}" class="btn btn-outline flex-1">You have a slot</a>
+        </div>
+      ` : ''}
+
+      ${task.status === 'open' && !task.acceptApplications && !task.myAssignment ? `
+        <div class="task-actions">
+          <button class="btn btn-primary flex-1" onclick="assignTask('${task._id}')">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+              <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+              <circle cx="8.5" cy="7" r="4"/>
+              <line x1="20" y1="8" x2="20" y2="14"/>
+              <line x1="23" y1="11" x2="17" y2="11"/>
+            </svg>
+            Assign to Me
+          </button>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Render the tasks loaded so far
+function renderTasks() {
+  if (tasks.length === 0) {
+    const hasFilters = filters.q || filters.category || filters.tags.length ||
+      filters.minCoins || filters.maxCoins || filters.status !== 'open';
+
+    tasksList.innerHTML = `
+      <div class="empty-state">
+        <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="12" r="10"/>
+          <line x1="12" y1="8" x2="12" y2="12"/>
+          <line x1="12" y1="16" x2="12.01" y2="16"/>
+        </svg>
+        ${hasFilters ? `
+          <h3 class="empty-state-title">No Matching Tasks</h3>
+          <p class="empty-state-description">No tasks match your search. Try different filters.</p>
+          <button class="btn btn-primary" onclick="resetFilters()">Clear Filters</button>
+        ` : `
+          <h3 class="empty-state-title">No Tasks Available</h3>
+          <p class="empty-state-description">There are currently no open tasks. Check back later!</p>
+          <a href="#/dashboard" class="btn btn-primary">Go to Dashboard</a>
+        `}
+      </div>
+    `;
+  } else {
+    tasksList.innerHTML = tasks.map(task => renderTaskCard(task)).join('');
+  }
+
+  loadMoreBtn.classList.toggle('hidden', !nextCursor);
+}
+
+// Render the removable chips for the active tag filters
+function renderTagFilters() {
+  document.getElementById('tagFilters').innerHTML = filters.tags.map(tag => `
+    <button type="button" class="chip active" data-remove-tag="${encodeURIComponent(tag)}" aria-label="Remove tag filter">
+      #${utils.sanitizeHTML(tag)} &times;
+    </button>
+  `).join('');
+}
+
+// Add tags to the filter (ignoring ones already there) and reload
+function addTagFilters(newTags) {
+  const added = newTags.filter(tag => tag && !filters.tags.includes(tag));
+  if (added.length === 0) return;
+
+  filters.tags = filters.tags.concat(added);
+  renderTagFilters();
+  loadTasks();
+}
+
+// Whether a task pushed by a live event belongs in the list as filtered.
+// Text search runs on the server, so new tasks are only added without one.
+function matchesFilters(task) {
+  const taskTags = (task.tags || []).map(tag => tags.normalize(tag));
+
+  return !filters.q &&
+    (!filters.status || task.status === filters.status) &&
+    (!filters.category || task.category === filters.category) &&
+    (!filters.tags.length || filters.tags.some(tag => taskTags.includes(tag))) &&
+    (!filters.minCoins || task.coins >= Number(filters.minCoins)) &&
+    (!filters.maxCoins || task.coins <= Number(filters.maxCoins));
+}
+
+// Keep the list current: new tasks appear at the top of the newest-first list,
+// changed tasks update in place and leave once they no longer match the status
+// filter (so nobody tries to take a task that was just assigned)
+function applyLiveEvent(event) {
+  const incoming = event.task;
+  if (!incoming?._id) return;
+
+  const index = tasks.findIndex(t => t._id === incoming._id);
+
+  if (index === -1) {
+    if (event.type === 'task.created' && filters.sort === 'newest' && matchesFilters(incoming)) {
+      tasks = [incoming, ...tasks];
+      renderTasks();
+    }
+    return;
+  }
+
+  const updated = { ...tasks[index], ...incoming };
+  if (filters.status && updated.status !== filters.status) {
+    tasks.splice(index, 1);
+  } else {
+    tasks[index] = updated;
+  }
+  renderTasks();
+}
+
+// Assign task
+window.assignTask = async function(taskId) {
+  const btn = event.target.closest('button');
+  if (!btn) return;
+
+  if (await taskActions.assign(taskId, btn)) {
+    // Redirect to my tasks after a short delay
+    setTimeout(() => {
+      if (router.isActive(browseTasksView)) router.navigate('/my-tasks?tab=assigned');
+    }, 1000);
+  }
+};
+
+// Apply for a task that lets the poster choose
+window.applyForTask = function(taskId) {
+  const task = tasks.find(t => t._id === taskId);
+  if (!task) return;
+
+  taskActions.openApplyModal(task, {
+    onDone: () => {
+      // Mark the card without reloading the whole list
+      task.myApplication = { createdAt: new Date().toISOString() };
+      renderTasks();
+    },
+  });
+};
+
+// Load tasks
+// Pass append = true to fetch the next page after the current cursor
+async function loadTasks(append = false) {
+  // Ignore responses for filters that have since changed
+  const currentRequest = ++requestId;
+
+  if (!append) {
+    tasksList.innerHTML = uiComponents.skeleton.multiple('taskCard', 3);
+    loadMoreBtn.classList.add('hidden');
+  } else {
+    utils.showLoading(loadMoreBtn);
+  }
+
+  try {
+    const response = await apiService.tasks.getAll({
+      ...filters,
+      tags: filters.tags.join(','),
+      cursor: append ? nextCursor : undefined,
+      limit: PAGE_SIZE,
+    });
+    if (currentRequest !== requestId) return;
+
+    const page = response.tasks || response || [];
+    tasks = append ? tasks.concat(page) : page;
+    nextCursor = response.nextCursor || null;
+
+    renderTasks();
+  } catch (error) {
+    if (currentRequest !== requestId) return;
+
+    console.error('Failed to load tasks:', error);
+    uiComponents.toast.error(utils.parseError(error));
+
+    if (!append) {
+      tasksList.innerHTML = `
+        <div class="empty-state">
+          <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+            <line x1="12" y1="9" x2="12" y2="13"/>
+            <line x1="12" y1="17" x2="12.01" y2="17"/>
+          </svg>
+          <h3 class="empty-state-title">Failed to Load Tasks</h3>
+          <p class="empty-state-description">There was an error loading tasks. Please try again.</p>
+          <button class="btn btn-primary" onclick="loadTasks()">Retry</button>
+        </div>
+      `;
+    }
+  } finally {
+    if (append) {
+      utils.hideLoading(loadMoreBtn);
+    }
+  }
+}
+
+// Used by the inline Retry button
+window.loadTasks = loadTasks;
+
+// Reset search and filters to their defaults
+window.resetFilters = function() {
+  Object.assign(filters, DEFAULT_FILTERS);
+
+  searchInput.value = '';
+  minCoinsInput.value = '';
+  maxCoinsInput.value = '';
+  sortSelect.value = 'newest';
+  categorySelect.value = '';
+  tagInput.value = '';
+  renderTagFilters();
+  document.querySelectorAll('#statusChips .chip').forEach(chip => {
+    chip.classList.toggle('active', chip.dataset.status === 'open');
+  });
+
+  loadTasks();
+};
+
+const browseTasksView = {
+  title: 'Browse Tasks',
+  nav: 'browse-tasks',
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container">
+        <div class="page-header mb-6">
+          <h1 class="text-3xl font-bold">Browse Tasks</h1>
+          <p class="text-secondary mt-2">Find tasks to earn coins</p>
+        </div>
+
+        <!-- Search & Filters -->
+        <div class="filter-bar mb-6">
+          <div class="input-group">
+            <span class="input-icon">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                <circle cx="11" cy="11" r="8"/>
+                <path d="m21 21-4.35-4.35"/>
+              </svg>
+            </span>
+            <input 
+              type="search" 
+              id="searchInput" 
+              class="form-input" 
+              placeholder="Search tasks by title or description"
+              aria-label="Search tasks"
+            >
+          </div>
+
+          <div class="chip-group" id="statusChips" role="group" aria-label="Filter by status">
+            <button type="button" class="chip active" data-status="open">Open</button>
+            <button type="button" class="chip" data-status="assigned">Assigned</button>
+            <button type="button" class="chip" data-status="completed">Completed</button>
+            <button type="button" class="chip" data-status="">All</button>
+          </div>
+
+          <div class="filter-row">
+            <input 
+              type="number" 
+              id="minCoins" 
+              class="form-input" 
+              placeholder="Min coins" 
+              min="0"
+              step="1"
+              aria-label="Minimum coins"
+            >
+            <input 
+              type="number" 
+              id="maxCoins" 
+              class="form-input" 
+              placeholder="Max coins" 
+              min="0"
+              step="1"
+              aria-label="Maximum coins"
+            >
+            <select id="sortSelect" class="form-select" aria-label="Sort tasks">
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+              <option value="coins_desc">Highest reward</option>
+              <option value="coins_asc">Lowest reward</option>
+              <option value="deadline">Due soonest</option>
+            </select>
+          </div>
+
+          <div class="tag-filter-row">
+            <select id="categorySelect" class="form-select" aria-label="Filter by category">
+              <option value="">All categories</option>
+              ${tags.CATEGORIES.map(c => `<option value="${c.value}">${c.label}</option>`).join('')}
+            </select>
+            <input 
+              type="text" 
+              id="tagInput" 
+              class="form-input" 
+              placeholder="Filter by tag - press Enter to add"
+              aria-label="Filter by tag"
+            >
+          </div>
+
+          <div class="chip-group" id="tagFilters" role="group" aria-label="Active tag filters"></div>
+        </div>
+
+        <!-- Tasks List -->
+        <div id="tasksList">
+          <!-- Skeleton loaders -->
+          <div class="task-card">
+            <div class="skeleton skeleton-title"></div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text" style="width: 60%;"></div>
+          </div>
+          <div class="task-card">
+            <div class="skeleton skeleton-title"></div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text" style="width: 60%;"></div>
+          </div>
+          <div class="task-card">
+            <div class="skeleton skeleton-title"></div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text" style="width: 60%;"></div>
+          </div>
+        </div>
+
+        <!-- Pagination -->
+        <div class="text-center mt-4">
+          <button type="button" class="btn btn-outline hidden" id="loadMoreBtn">Load more</button>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Bind filters and load the first page once the markup is in place
+   * @returns {Function} Cleanup - stops the deadline countdowns and live updates
+   */
+  mount() {
+    tasksList = document.getElementById('tasksList');
+    loadMoreBtn = document.getElementById('loadMoreBtn');
+    searchInput = document.getElementById('searchInput');
+    minCoinsInput = document.getElementById('minCoins');
+    maxCoinsInput = document.getElementById('maxCoins');
+    sortSelect = document.getElementById('sortSelect');
+    categorySelect = document.getElementById('categorySelect');
+    tagInput = document.getElementById('tagInput');
+
+    // Start from a clean slate each visit
+    Object.assign(filters, DEFAULT_FILTERS);
+    tasks = [];
+    nextCursor = null;
+
+    // Search (debounced so we don't hit the API on every keystroke)
+    searchInput.addEventListener('input', utils.debounce(() => {
+      filters.q = searchInput.value.trim();
+      loadTasks();
+    }, 400));
+
+    // Status chips
+    document.querySelectorAll('#statusChips .chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        document.querySelectorAll('#statusChips .chip').forEach(c => c.classList.remove('active'));
+        chip.classList.add('active');
+        filters.status = chip.dataset.status;
+        loadTasks();
+      });
+    });
+
+    // Coin range
+    const onCoinRangeChange = utils.debounce(() => {
+      filters.minCoins = minCoinsInput.value;
+      filters.maxCoins = maxCoinsInput.value;
+      loadTasks();
+    }, 400);
+    minCoinsInput.addEventListener('input', onCoinRangeChange);
+    maxCoinsInput.addEventListener('input', onCoinRangeChange);
+
+    // Sort order
+    sortSelect.addEventListener('change', () => {
+      filters.sort = sortSelect.value;
+      loadTasks();
+    });
+
+    // Category
+    categorySelect.addEventListener('change', () => {
+      filters.category = categorySelect.value;
+      loadTasks();
+    });
+
+    // Tags - typed in (Enter or comma adds them), or clicked on a card
+    tagInput.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' && e.key !== ',') return;
+      e.preventDefault();
+      addTagFilters(tags.parse(tagInput.value));
+      tagInput.value = '';
+    });
+
+    tasksList.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-tag]');
+      if (chip) addTagFilters([tags.normalize(decodeURIComponent(chip.dataset.tag))]);
+    });
+
+    document.getElementById('tagFilters').addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-remove-tag]');
+      if (!chip) return;
+
+      const removed = decodeURIComponent(chip.dataset.removeTag);
+      filters.tags = filters.tags.filter(tag => tag !== removed);
+      renderTagFilters();
+      loadTasks();
+    });
+
+    // Load more
+    loadMoreBtn.addEventListener('click', () => {
+      if (nextCursor) loadTasks(true);
+    });
+
+    loadTasks();
+
+    const unsubscribe = live.subscribe(applyLiveEvent);
+    const stopDeadlines = taskActions.watchDeadlines(tasksList, (id) => tasks.find(t => t._id === id));
+
+    return () => {
+      unsubscribe();
+      stopDeadlines();
+    };
+  },
+};
+
+export default browseTasksView;
@@ -0,0 +1,324 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+import router from '../router.js';
+import tags from '../tags.js';
+
+const RECENT_TASKS_LIMIT = 5;
+const RECOMMENDED_LIMIT = 5;
+// Open tasks fetched as candidates for ranking
+const RECOMMENDED_POOL_SIZE = 50;
+
+// Latest wallet summary ({ available, escrowed }); null until loaded
+let walletSummary = null;
+let summaryRequest = 0;
+
+// Skills the recommendations were last loaded for, so unrelated user updates don't refetch
+let recommendedFor = null;
+let recommendedRequest = 0;
+let dashboardRequest = 0;
+
+// Update coin balance card whenever the current user or wallet summary changes
+function renderBalance(user) {
+  const coinBalanceCard = document.getElementById('coinBalanceCard');
+  // Until the wallet answers, the profile's coin count is the available balance
+  const available = walletSummary?.available ?? user?.coins ?? 0;
+  const escrowed = walletSummary?.escrowed ?? 0;
+
+  coinBalanceCard.innerHTML = `
+    <div class="flex items-center justify-between flex-wrap gap-4">
+      <div class="flex gap-6 flex-wrap">
+        <div>
+          <div class="text-sm text-secondary mb-2">Available</div>
+          <div class="text-3xl font-bold flex items-center gap-2">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="32" height="32" class="text-warning">
+              <circle cx="12" cy="12" r="10"/>
+              <path d="M12 6v6l4 2"/>
+            </svg>
+            <span class="text-primary">${utils.formatNumber(available)} Coins</span>
+          </div>
+        </div>
+        <div>
+          <div class="text-sm text-secondary mb-2">In Escrow</div>
+          <div class="text-3xl font-bold">${utils.formatNumber(escrowed)}</div>
+          <div class="text-xs text-secondary">Held for your open tasks</div>
+        </div>
+      </div>
+      <div class="flex gap-2">
+        <a href="#/wallet" class="btn btn-sm btn-ghost">View Wallet</a>
+        <a href="#/browse-tasks" class="btn btn-sm btn-outline">Earn More</a>
+      </div>
+    </div>
+  `;
+}
+
+// Refresh the available / escrowed split
+async function loadWalletSummary() {
+  const currentRequest = ++summaryRequest;
+
+  try {
+    const summary = await apiService.wallet.getSummary();
+    if (currentRequest !== summaryRequest || !router.isActive(dashboardView)) return;
+
+    walletSummary = summary;
+    renderBalance(appShell.currentUser.get());
+  } catch (error) {
+    // Keep showing the profile balance
+    console.error('Failed to load wallet summary:', error);
+  }
+}
+
+// Render the most recently active tasks from both lists
+function renderRecentTasks(posted, assigned) {
+  const recentTasks = document.getElementById('recentTasks');
+  const tasks = [...posted, ...assigned]
+    .sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt))
+    .slice(0, RECENT_TASKS_LIMIT);
+
+  if (tasks.length === 0) {
+    recentTasks.innerHTML = `
+      <p class="text-secondary">No tasks yet. Post one or pick one up from Browse Tasks.</p>
+    `;
+    return;
+  }
+
+  recentTasks.innerHTML = tasks.map(task => `
+    <a href="#/tasks/${task._id}" class="recent-task">
+      <div class="flex-1" style="min-width: 0;">
+        <div class="recent-task-title">${utils.sanitizeHTML(task.title)}</div>
+        <div class="text-xs text-secondary">${utils.formatDate(task.updatedAt || task.createdAt)}</div>
+      </div>
+      <span class="badge ${utils.getStatusBadgeClass(task.status)}">
+        ${utils.getStatusDisplayText(task.status)}
+      </span>
+    </a>
+  `).join('');
+}
+
+// Render open tasks that match the user's skills, best match first
+function renderRecommended(recommended) {
+  document.getElementById('recommendedTasks').innerHTML = recommended.map(task => `
+    <a href="#/tasks/${task._id}" class="recent-task">
+      <div class="flex-1" style="min-width: 0;">
+        <div class="recent-task-title">${utils.sanitizeHTML(task.title)}</div>
+        <div class="text-xs text-secondary">
+          ${task.matchScore} skill match${task.matchScore === 1 ? '' : 'es'}
+          ${task.category ? ` · ${utils.sanitizeHTML(tags.getCategoryLabel(task.category))}` : ''}
+        </div>
+      </div>
+      <span class="badge badge-secondary">${utils.formatNumber(task.coins)} coins</span>
+    </a>
+  `).join('') || `
+    <p class="text-secondary">No open tasks match your skills right now. <a href="#/browse-tasks">Browse all tasks</a></p>
+  `;
+}
+
+// Load open tasks tagged with the user's skills and rank them by overlap
+async function loadRecommended(user) {
+  const skills = user?.skills || [];
+  const key = skills.join(',');
+  if (!user || key === recommendedFor) return;
+  recommendedFor = key;
+
+  const currentRequest = ++recommendedRequest;
+  const recommendedTasks = document.getElementById('recommendedTasks');
+
+  if (skills.length === 0) {
+    recommendedTasks.innerHTML = `
+      <p class="text-secondary">Add your skills in <a href="#/settings">Settings</a> to see tasks picked for you.</p>
+    `;
+    return;
+  }
+
+  try {
+    const response = await apiService.tasks.getAll({
+      status: 'open',
+      tags: skills.map(skill => tags.normalize(skill)).join(','),
+      limit: RECOMMENDED_POOL_SIZE,
+    });
+    if (currentRequest !== recommendedRequest || !router.isActive(dashboardView)) return;
+
+    // Your own tasks aren't recommendations
+    const candidates = (response.tasks || response || [])
+      .filter(task => (task.owner?._id || task.owner) !== user._id);
+
+    renderRecommended(tags.rank(candidates, skills).slice(0, RECOMMENDED_LIMIT));
+  } catch (error) {
+    if (currentRequest !== recommendedRequest || !router.isActive(dashboardView)) return;
+
+    console.error('Failed to load recommended tasks:', error);
+    recommendedFor = null;
+    recommendedTasks.innerHTML = `
+      <p class="text-error">Failed to load recommendations. Please try again.</p>
+    `;
+  }
+}
+
+// Load dashboard data
+async function loadDashboard() {
+  // Ignore responses that arrive after leaving the page
+  const currentRequest = ++dashboardRequest;
+  const isStale = () => currentRequest !== dashboardRequest || !router.isActive(dashboardView);
+
+  try {
+    // Load task statistics
+    const [postedTasks, assignedTasks] = await Promise.all([
+      apiService.tasks.getPosted(),
+      apiService.tasks.getAssigned()
+    ]);
+    if (isStale()) return;
+
+    const posted = postedTasks.tasks || postedTasks || [];
+    const assigned = assignedTasks.tasks || assignedTasks || [];
+    const completedTasks = assigned.filter(t => t.status === 'completed');
+
+    // Update stats grid
+    const statsGrid = document.getElementById('statsGrid');
+    statsGrid.innerHTML = `
+      <div class="stat-card">
+        <div class="stat-label">Posted Tasks</div>
+        <div class="stat-value">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="28" height="28" class="stat-icon">
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+            <polyline points="14 2 14 8 20 8"/>
+          </svg>
+          ${posted.length}
+        </div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Assigned Tasks</div>
+        <div class="stat-value">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="28" height="28" class="stat-icon">
+            <rect x="2" y="7" width="20" height="14" rx="2" ry="2"/>
+            <path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"/>
+          </svg>
+          ${assigned.length}
+        </div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Completed</div>
+        <div class="stat-value">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="28" height="28" class="stat-icon">
+            <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
+            <polyline points="22 4 12 14.01 9 11.01"/>
+          </svg>
+          ${completedTasks.length}
+        </div>
+      </div>
+    `;
+
+    renderRecentTasks(posted, assigned);
+  } catch (error) {
+    if (isStale()) return;
+    console.error('Failed to load dashboard:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    document.getElementById('recentTasks').innerHTML = `
+      <p class="text-error">Failed to load tasks. Please try again.</p>
+    `;
+  }
+}
+
+const dashboardView = {
+  title: 'Dashboard',
+  nav: 'dashboard',
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container">
+        <div class="page-header mb-6">
+          <h1 class="text-3xl font-bold">Dashboard</h1>
+          <p class="text-secondary mt-2">Welcome back! Here's your overview</p>
+        </div>
+
+        <!-- Coin Balance Card -->
+        <div class="card mb-6" id="coinBalanceCard">
+          <div class="skeleton skeleton-card"></div>
+        </div>
+
+        <!-- Stats Grid -->
+        <div class="stats-grid" id="statsGrid">
+          <div class="stat-card">
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-title mt-2"></div>
+          </div>
+          <div class="stat-card">
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-title mt-2"></div>
+          </div>
+          <div class="stat-card">
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-title mt-2"></div>
+          </div>
+        </div>
+
+        <!-- Recent Tasks -->
+        <div class="card mb-6">
+          <h2 class="card-title mb-4">Recent Tasks</h2>
+          <div id="recentTasks">
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text" style="width: 60%;"></div>
+          </div>
+        </div>
+
+        <!-- Recommended Tasks -->
+        <div class="card mb-6">
+          <h2 class="card-title mb-4">Recommended for You</h2>
+          <div id="recommendedTasks">
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text" style="width: 60%;"></div>
+          </div>
+        </div>
+
+        <!-- Quick Actions -->
+        <div class="card">
+          <h2 class="card-title mb-4">Quick Actions</h2>
+          <div class="flex gap-3 flex-wrap">
+            <a href="#/post-task" class="btn btn-primary">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                <line x1="12" y1="5" x2="12" y2="19"/>
+                <line x1="5" y1="12" x2="19" y2="12"/>
+              </svg>
+              Post New Task
+            </a>
+            <a href="#/browse-tasks" class="btn btn-outline">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                <circle cx="11" cy="11" r="8"/>
+                <path d="m21 21-4.35-4.35"/>
+              </svg>
+              Browse Tasks
+            </a>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Load data once the markup is in place
+   * @returns {Function} Cleanup
+   */
+  mount() {
+    walletSummary = null;
+    recommendedFor = null;
+
+    // Coin changes (approvals, cancellations, ...) also move escrow, so refetch the split.
+    // Recommendations only reload when the skills change.
+    const unsubscribe = appShell.currentUser.subscribe((user) => {
+      renderBalance(user);
+      loadWalletSummary();
+      loadRecommended(user);
+    });
+    loadDashboard();
+
+    return unsubscribe;
+  },
+};
+
+export default dashboardView;
@@ -0,0 +1,319 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+
+/**
+ * How each arbitration decision is described to both parties
+ */
+const DECISIONS = {
+  full: { label: 'Full payout', description: 'The worker receives the full reward.', badge: 'badge-success' },
+  partial: { label: 'Partial payout', description: 'The reward is split between the worker and the poster.', badge: 'badge-warning' },
+  none: { label: 'No payout', description: 'The escrowed coins are refunded to the poster.', badge: 'badge-error' },
+};
+
+// Id of the dispute on screen; responses for any other id are stale
+let disputeId = null;
+let dispute = null;
+
+// Link to a user's public profile
+function renderUserLink(user) {
+  if (!user?._id) return utils.sanitizeHTML(user?.name || 'Unknown');
+  return `<a href="#/users/${encodeURIComponent(user._id)}">${utils.sanitizeHTML(user.name || 'Unknown')}</a>`;
+}
+
+// Render summary: task, parties and reason
+function renderSummary() {
+  const task = dispute.task || {};
+  const taskId = task._id || task;
+
+  return `
+    <div class="task-header">
+      <div class="flex-1">
+        <h2 class="text-2xl font-bold mb-2">
+          <a href="#/tasks/${encodeURIComponent(taskId)}">${utils.sanitizeHTML(task.title || 'View task')}</a>
+        </h2>
+        <span class="badge ${dispute.status === 'resolved' ? 'badge-success' : 'badge-error'}">
+          ${dispute.status === 'resolved' ? 'Resolved' : 'Under arbitration'}
+        </span>
+      </div>
+      ${task.coins !== undefined ? `
+        <div class="task-coins">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="24" height="24">
+            <circle cx="12" cy="12" r="10"/>
+            <path d="M12 6v6l4 2"/>
+          </svg>
+          ${utils.formatNumber(task.coins)}
+        </div>
+      ` : ''}
+    </div>
+
+    <div class="task-meta mb-4">
+      <div class="task-meta-item">
+        <span>Opened by ${renderUserLink(dispute.openedBy)} · ${utils.formatDate(dispute.createdAt)}</span>
+      </div>
+      ${task.owner ? `
+        <div class="task-meta-item"><span>Poster: ${renderUserLink(task.owner)}</span></div>
+      ` : ''}
+      ${task.assignedTo ? `
+        <div class="task-meta-item"><span>Worker: ${renderUserLink(task.assignedTo)}</span></div>
+      ` : ''}
+    </div>
+
+    <div class="submission-notes changes-requested">
+      <div class="submission-notes-label">Reason</div>
+      <p>${utils.sanitizeHTML(dispute.reason)}</p>
+    </div>
+  `;
+}
+
+// Render the arbitration outcome (or the pending state)
+function renderOutcome() {
+  const outcome = dispute.outcome;
+
+  if (dispute.status !== 'resolved' || !outcome) {
+    return `
+      <p class="text-secondary">
+        An arbitrator is reviewing this dispute. Add evidence and messages below; the escrowed coins stay locked until a decision is made.
+      </p>
+    `;
+  }
+
+  const decision = DECISIONS[outcome.decision] || DECISIONS.none;
+
+  return `
+    <div class="flex items-center justify-between mb-2">
+      <span class="badge ${decision.badge}">${decision.label}</span>
+      <span class="text-sm text-secondary">${utils.formatDate(outcome.resolvedAt)}</span>
+    </div>
+    <p class="mb-4">${decision.description}</p>
+    <div class="dispute-payout">
+      <div>
+        <div class="text-sm text-secondary">To worker</div>
+        <div class="text-xl font-bold">${utils.formatNumber(outcome.workerAmount || 0)} coins</div>
+      </div>
+      <div>
+        <div class="text-sm text-secondary">Refunded to poster</div>
+        <div class="text-xl font-bold">${utils.formatNumber(outcome.refundAmount || 0)} coins</div>
+      </div>
+    </div>
+    ${outcome.note ? `
+      <div class="submission-notes mt-4">
+        <div class="submission-notes-label">Arbitrator's note</div>
+        <p>${utils.sanitizeHTML(outcome.note)}</p>
+      </div>
+    ` : ''}
+  `;
+}
+
+// Render evidence list
+function renderEvidence() {
+  const evidence = dispute.evidence || [];
+
+  if (evidence.length === 0) {
+    return '<p class="text-secondary">No evidence submitted yet.</p>';
+  }
+
+  return evidence.map(item => {
+    const url = item.url ? utils.safeUrl(item.url) : null;
+
+    return `
+      <div class="dispute-entry">
+        <div class="text-xs text-secondary mb-1">${renderUserLink(item.author)} · ${utils.formatDate(item.createdAt)}</div>
+        <p>${utils.sanitizeHTML(item.description || '')}</p>
+        ${url ? `<a href="${utils.escapeAttribute(url)}" target="_blank" rel="noopener noreferrer" class="text-sm">${utils.sanitizeHTML(url)}</a>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+// Render message thread
+function renderMessages() {
+  const messages = dispute.messages || [];
+  const me = appShell.currentUser.get()?._id;
+
+  if (messages.length === 0) {
+    return '<p class="text-secondary">No messages yet.</p>';
+  }
+
+  return messages.map(message => {
+    const author = message.author || {};
+    const role = author.role === 'arbitrator' ? 'arbitrator' : author._id === me ? 'mine' : 'theirs';
+
+    return `
+      <div class="dispute-message ${role}">
+        <div class="text-xs text-secondary mb-1">
+          ${role === 'arbitrator' ? 'Arbitrator' : renderUserLink(author)} · ${utils.formatDate(message.createdAt)}
+        </div>
+        <p>${utils.sanitizeHTML(message.body)}</p>
+      </div>
+    `;
+  }).join('');
+}
+
+// Render the whole dispute
+function renderDispute() {
+  const isOpen = dispute.status !== 'resolved';
+
+  document.getElementById('disputeSummary').innerHTML = renderSummary();
+  document.getElementById('disputeOutcome').innerHTML = renderOutcome();
+  document.getElementById('evidenceList').innerHTML = renderEvidence();
+  document.getElementById('messageList').innerHTML = renderMessages();
+  document.getElementById('evidenceForm').classList.toggle('hidden', !isOpen);
+  document.getElementById('messageForm').classList.toggle('hidden', !isOpen);
+}
+
+// Load dispute
+async function loadDispute() {
+  const requestedId = disputeId;
+
+  try {
+    const response = await apiService.disputes.getById(requestedId);
+    if (requestedId !== disputeId) return;
+
+    dispute = response.dispute || response;
+    renderDispute();
+  } catch (error) {
+    if (requestedId !== disputeId) return;
+
+    console.error('Failed to load dispute:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    document.getElementById('disputeSummary').innerHTML = `
+      <div class="text-center text-error">
+        <p>Failed to load dispute. Please try again.</p>
+      </div>
+    `;
+  }
+}
+
+// Submit a form's payload, then reload the dispute
+async function submitForm(form, send) {
+  const submitBtn = form.querySelector('button[type="submit"]');
+  utils.showLoading(submitBtn);
+
+  try {
+    await send();
+    form.reset();
+    await loadDispute();
+  } catch (error) {
+    console.error('Failed to update dispute:', error);
+    uiComponents.toast.error(utils.parseError(error));
+  } finally {
+    utils.hideLoading(submitBtn);
+  }
+}
+
+const disputeView = {
+  title: 'Dispute',
+  // Disputes are reached from their task, not the nav
+  nav: null,
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container" style="max-width: 800px;">
+        <div class="mb-4">
+          <button class="btn btn-ghost" onclick="history.back()">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+              <line x1="19" y1="12" x2="5" y2="12"/>
+              <polyline points="12 19 5 12 12 5"/>
+            </svg>
+            Back
+          </button>
+        </div>
+
+        <div class="card mb-6" id="disputeSummary">
+          <div class="skeleton skeleton-title"></div>
+          <div class="skeleton skeleton-text"></div>
+          <div class="skeleton skeleton-text" style="width: 60%;"></div>
+        </div>
+
+        <!-- Outcome -->
+        <div class="card mb-6">
+          <h3 class="text-xl font-semibold mb-4">Outcome</h3>
+          <div id="disputeOutcome">
+            <div class="skeleton skeleton-text"></div>
+          </div>
+        </div>
+
+        <!-- Evidence -->
+        <div class="card mb-6">
+          <h3 class="text-xl font-semibold mb-4">Evidence</h3>
+          <div id="evidenceList">
+            <div class="skeleton skeleton-text"></div>
+          </div>
+          <form id="evidenceForm" class="hidden mt-4" novalidate>
+            <div class="form-group">
+              <label for="evidenceDescription" class="form-label">Add evidence</label>
+              <textarea id="evidenceDescription" class="form-textarea" rows="3" maxlength="2000" placeholder="What does this show?" required></textarea>
+            </div>
+            <div class="form-group">
+              <input type="url" id="evidenceUrl" class="form-input" placeholder="Link (optional) - https://...">
+            </div>
+            <button type="submit" class="btn btn-outline">Add Evidence</button>
+          </form>
+        </div>
+
+        <!-- Messages -->
+        <div class="card">
+          <h3 class="text-xl font-semibold mb-4">Messages</h3>
+          <div id="messageList">
+            <div class="skeleton skeleton-text"></div>
+          </div>
+          <form id="messageForm" class="hidden mt-4" novalidate>
+            <div class="form-group">
+              <label for="messageBody" class="form-label">Message the other party and the arbitrator</label>
+              <textarea id="messageBody" class="form-textarea" rows="3" maxlength="2000" required></textarea>
+            </div>
+            <button type="submit" class="btn btn-primary">Send</button>
+          </form>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Load the dispute in the route and wire up its forms
+   * @param {HTMLElement} outlet - View container
+   * @param {object} params - Route params ({ id })
+   */
+  mount(outlet, params) {
+    disputeId = params.id;
+    dispute = null;
+
+    const evidenceForm = document.getElementById('evidenceForm');
+    const messageForm = document.getElementById('messageForm');
+
+    evidenceForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const description = document.getElementById('evidenceDescription').value.trim();
+      const url = document.getElementById('evidenceUrl').value.trim();
+
+      if (!description) {
+        uiComponents.toast.error('Please describe the evidence');
+        return;
+      }
+      if (url && !utils.safeUrl(url)) {
+        uiComponents.toast.error('Links must start with http:// or https://');
+        return;
+      }
+
+      submitForm(evidenceForm, () => apiService.disputes.addEvidence(disputeId, { description, url }));
+    });
+
+    messageForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const body = document.getElementById('messageBody').value.trim();
+      if (!body) return;
+
+      submitForm(messageForm, () => apiService.disputes.addMessage(disputeId, { body }));
+    });
+
+    loadDispute();
+  },
+};
+
+export default disputeView;
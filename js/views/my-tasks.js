@@ -0,0 +1,663 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+import taskActions from '../task-actions.js';
+import tags from '../tags.js';
+import attachments from '../attachments.js';
+import markdown from '../markdown.js';
+import taskMessages from '../task-messages.js';
+import router from '../router.js';
+import live from '../live.js';
+import outbox from '../outbox.js';
+
+let postedTasks = [];
+let assignedTasks = [];
+// Latest list requests; older responses (or any after leaving the page) are stale
+let postedRequest = 0;
+let assignedRequest = 0;
+let currentTab = 'posted';
+
+// Unread message counts are refreshed this often while the page is open
+const UNREAD_POLL_MS = 30 * 1000;
+
+// Latest { posted, assigned, tasks: { [taskId]: count } } from the API
+let unreadCounts = { posted: 0, assigned: 0, tasks: {} };
+
+// Open / view dispute controls, shared by both card types
+function renderDisputeAction(task) {
+  const disputeHref = taskActions.getDisputeHref(task);
+
+  if (task.status === 'disputed' && disputeHref) {
+    return `
+      <div class="task-actions">
+        <a href="${disputeHref}" class="btn btn-outline flex-1">View Dispute</a>
+      </div>
+    `;
+  }
+
+  if (taskActions.isDisputable(task)) {
+    return `
+      <div class="task-actions">
+        <button class="btn btn-ghost btn-sm text-error" onclick="openDisputeModal('${task._id}')">Open Dispute</button>
+      </div>
+    `;
+  }
+
+  return '';
+}
+
+// Messages button, once the task has a worker
+function renderMessagesAction(task) {
+  if (!taskActions.getPermissions(task, appShell.currentUser.get()).canMessage) return '';
+
+  return `
+    <div class="task-actions">
+      ${taskMessages.renderMessagesButton(task, unreadCounts.tasks?.[task._id])}
+    </div>
+  `;
+}
+
+// Task posted while offline, shown at the top of the posted tab until it syncs
+function renderPendingPostCard(entry) {
+  let task = {};
+  try {
+    task = JSON.parse(entry.body) || {};
+  } catch (error) {
+    // Unreadable entry - still listed so it can be discarded
+  }
+
+  return `
+    <div class="task-card" data-outbox-id="${entry.id}">
+      <div class="task-header">
+        <div class="flex-1">
+          <h3 class="task-title">${utils.sanitizeHTML(task.title || entry.label || 'New task')}</h3>
+          ${outbox.renderBadge()}
+        </div>
+        <div class="task-coins">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="24" height="24">
+            <circle cx="12" cy="12" r="10"/>
+            <path d="M12 6v6l4 2"/>
+          </svg>
+          ${utils.formatNumber(task.coins || 0)}
+        </div>
+      </div>
+
+      <div class="task-description markdown">
+        ${markdown.render(task.description)}
+      </div>
+
+      <div class="task-actions">
+        <button class="btn btn-ghost btn-sm text-error" data-action="discard-pending">Discard</button>
+      </div>
+    </div>
+  `;
+}
+
+// Render posted task card
+function renderPostedTaskCard(task) {
+  const multiSlot = taskActions.isMultiSlot(task);
+  const can = taskActions.getPermissions(task, appShell.currentUser.get());
+  const assignedUser = task.assignedTo ? (task.assignedTo.name || 'Unknown User') : 'Not assigned';
+
+  return `
+    <div class="task-card" data-task-id="${task._id}">
+      <div class="task-header">
+        <div class="flex-1">
+          <h3 class="task-title"><a href="#/tasks/${task._id}">${utils.sanitizeHTML(task.title)}</a></h3>
+          <span class="badge ${utils.getStatusBadgeClass(task.status)}">
+            ${utils.getStatusDisplayText(task.status)}
+          </span>
+        </div>
+        <div class="task-coins">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="24" height="24">
+            <circle cx="12" cy="12" r="10"/>
+            <path d="M12 6v6l4 2"/>
+          </svg>
+          ${utils.formatNumber(task.coins)}
+        </div>
+      </div>
+
+      <div class="task-description markdown">
+        ${markdown.render(task.description)}
+      </div>
+
+      ${attachments.renderList(task.attachments)}
+
+      ${task.submissionNotes ? `
+        <div class="submission-notes">
+          <div class="submission-notes-label">Submission notes${task.revisions?.length ? ` · revision ${task.revisions.length + 1}` : ''}</div>
+          <div class="markdown">${markdown.render(task.submissionNotes)}</div>
+          ${attachments.renderList(task.submissionAttachments, { label: 'Delivered files' })}
+        </div>
+      ` : ''}
+
+      <div class="task-meta">
+        <div class="task-meta-item">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/>
+            <circle cx="12" cy="7" r="4"/>
+          </svg>
+          <span>${multiSlot
+            ? `${taskActions.getFilledSlots(task)} of ${taskActions.getSlots(task)} slots filled`
+            : `Assigned to: ${utils.sanitizeHTML(assignedUser)}`}</span>
+        </div>
+        <div class="task-meta-item">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+            <circle cx="12" cy="12" r="10"/>
+            <polyline points="12 6 12 12 16 14"/>
+          </svg>
+          <span>${utils.formatDate(task.createdAt)}</span>
+        </div>
+        ${task.category ? `
+          <div class="task-meta-item">
+            <span class="badge badge-info">${utils.sanitizeHTML(tags.getCategoryLabel(task.category))}</span>
+          </div>
+        ` : ''}
+        ${task.deadline ? `
+          <div class="task-meta-item">${taskActions.renderDeadline(task)}</div>
+        ` : ''}
+      </div>
+
+      ${tags.renderChips(task.tags)}
+
+      ${can.canChooseApplicant ? taskActions.renderApplicants(task) : ''}
+
+      ${multiSlot ? taskActions.renderSlots(task) : ''}
+
+      ${taskActions.hasMilestones(task) ? taskActions.renderMilestones(task, appShell.currentUser.get()) : ''}
+
+      ${can.canApprove || can.canRequestChanges ? `
+        <div class="task-actions">
+          ${can.canApprove ? `
+            <button class="btn btn-primary flex-1" onclick="openReviewModal('${task._id}')">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+              </svg>
+              Review & Approve
+            </button>
+          ` : ''}
+          ${can.canRequestChanges ? `
+            <button class="btn btn-outline" onclick="openRequestChangesModal('${task._id}')">Request Changes</button>
+          ` : ''}
+        </div>
+      ` : ''}
+
+      ${can.canEdit || can.canCancel ? `
+        <div class="task-actions">
+          ${can.canEdit ? `<button class="btn btn-outline flex-1" onclick="openEditTaskModal('${task._id}')">Edit</button>` : ''}
+          ${can.canCancel ? `<button class="btn btn-error flex-1" onclick="cancelTask('${task._id}')">Cancel Task</button>` : ''}
+        </div>
+      ` : ''}
+
+      ${can.canUnassign ? `
+        <div class="task-actions">
+          <button class="btn btn-outline flex-1" onclick="unassignTask('${task._id}')">Release Worker</button>
+        </div>
+      ` : ''}
+
+      ${multiSlot ? '' : renderDisputeAction(task)}
+
+      ${renderMessagesAction(task)}
+    </div>
+  `;
+}
+
+// Render assigned task card
+function renderAssignedTaskCard(task) {
+  const taskOwner = task.owner ? (task.owner.name || 'Unknown') : 'Unknown';
+  const multiSlot = taskActions.isMultiSlot(task);
+  // On multi-slot tasks the card follows my own slot, not the whole task
+  const work = multiSlot ? taskActions.getMyAssignment(task, appShell.currentUser.get()) || {} : task;
+  const can = taskActions.getPermissions(task, appShell.currentUser.get());
+  // Work submitted offline waits in the outbox - don't offer to submit it again
+  const pendingSync = outbox.isPending(task._id);
+  const feedback = taskActions.getPendingFeedback(work);
+
+  return `
+    <div class="task-card" data-task-id="${task._id}">
+      <div class="task-header">
+        <div class="flex-1">
+          <h3 class="task-title"><a href="#/tasks/${task._id}">${utils.sanitizeHTML(task.title)}</a></h3>
+          <span class="badge ${utils.getStatusBadgeClass(work.status)}">
+            ${utils.getStatusDisplayText(work.status)}
+          </span>
+          ${pendingSync ? outbox.renderBadge() : ''}
+        </div>
+        <div class="task-coins">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="24" height="24">
+            <circle cx="12" cy="12" r="10"/>
+            <path d="M12 6v6l4 2"/>
+          </svg>
+          ${utils.formatNumber(task.coins)}
+        </div>
+      </div>
+
+      <div class="task-description markdown">
+        ${markdown.render(task.description)}
+      </div>
+
+      ${attachments.renderList(task.attachments)}
+
+      ${feedback ? `
+        <div class="submission-notes changes-requested">
+          <div class="submission-notes-label">Changes requested${feedback.requestedAt ? ` · ${utils.formatDate(feedback.requestedAt)}` : ''}</div>
+          <p>${utils.sanitizeHTML(feedback.feedback)}</p>
+        </div>
+      ` : ''}
+
+      <div class="task-meta">
+        <div class="task-meta-item">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+            <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/>
+            <circle cx="12" cy="7" r="4"/>
+          </svg>
+          <span>Posted by: ${utils.sanitizeHTML(taskOwner)}</span>
+        </div>
+        <div class="task-meta-item">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+            <circle cx="12" cy="12" r="10"/>
+            <polyline points="12 6 12 12 16 14"/>
+          </svg>
+          <span>${utils.formatDate(task.createdAt)}</span>
+        </div>
+        ${task.category ? `
+          <div class="task-meta-item">
+            <span class="badge badge-info">${utils.sanitizeHTML(tags.getCategoryLabel(task.category))}</span>
+          </div>
+        ` : ''}
+        ${task.deadline ? `
+          <div class="task-meta-item">${taskActions.renderDeadline(task)}</div>
+        ` : ''}
+      </div>
+
+      ${tags.renderChips(task.tags)}
+
+      ${taskActions.hasMilestones(task) ? taskActions.renderMilestones(task, appShell.currentUser.get()) : ''}
+
+      ${can.canWithdraw && !pendingSync ? `
+        <div class="task-actions">
+          ${can.canSubmit ? `
+            <button class="btn btn-primary flex-1" onclick="openSubmitModal('${task._id}')">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
+                <polyline points="22 4 12 14.01 9 11.01"/>
+              </svg>
+              ${feedback ? 'Resubmit Work' : 'Submit Work'}
+            </button>
+          ` : ''}
+          <button class="btn btn-outline" onclick="withdrawFromTask('${task._id}')">Withdraw</button>
+        </div>
+      ` : ''}
+
+      ${multiSlot ? '' : renderDisputeAction(task)}
+
+      ${renderMessagesAction(task)}
+    </div>
+  `;
+}
+
+// Load posted tasks
+async function loadPostedTasks() {
+  const currentRequest = ++postedRequest;
+  const isStale = () => currentRequest !== postedRequest || !router.isActive(myTasksView);
+
+  try {
+    const response = await apiService.tasks.getPosted();
+    if (isStale()) return;
+    postedTasks = response.tasks || response || [];
+
+    const postedTasksList = document.getElementById('postedTasksList');
+    const pending = outbox.list({ kind: 'task.create' }).map(renderPendingPostCard).join('');
+    if (postedTasks.length === 0 && !pending) {
+      postedTasksList.innerHTML = `
+        <div class="empty-state">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="64" height="64">
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+            <polyline points="14 2 14 8 20 8"/>
+          </svg>
+          <h3>No Posted Tasks</h3>
+          <p>You haven't posted any tasks yet</p>
+          <a href="#/post-task" class="btn btn-primary mt-4">Post Your First Task</a>
+        </div>
+      `;
+    } else {
+      postedTasksList.innerHTML = pending + postedTasks.map(task => renderPostedTaskCard(task)).join('');
+    }
+  } catch (error) {
+    if (isStale()) return;
+    console.error('Failed to load posted tasks:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    document.getElementById('postedTasksList').innerHTML = outbox.list({ kind: 'task.create' }).map(renderPendingPostCard).join('') + `
+      <div class="empty-state">
+        <p class="text-error">Failed to load tasks. Please try again.</p>
+      </div>
+    `;
+  }
+}
+
+// Load assigned tasks
+async function loadAssignedTasks() {
+  const currentRequest = ++assignedRequest;
+  const isStale = () => currentRequest !== assignedRequest || !router.isActive(myTasksView);
+
+  try {
+    const response = await apiService.tasks.getAssigned();
+    if (isStale()) return;
+    assignedTasks = response.tasks || response || [];
+
+    const assignedTasksList = document.getElementById('assignedTasksList');
+    if (assignedTasks.length === 0) {
+      assignedTasksList.innerHTML = `
+        <div class="empty-state">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="64" height="64">
+            <rect x="2" y="7" width="20" height="14" rx="2" ry="2"/>
+            <path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"/>
+          </svg>
+          <h3>No Assigned Tasks</h3>
+          <p>You don't have any assigned tasks</p>
+          <a href="#/browse-tasks" class="btn btn-primary mt-4">Browse Available Tasks</a>
+        </div>
+      `;
+    } else {
+      assignedTasksList.innerHTML = assignedTasks.map(task => renderAssignedTaskCard(task)).join('');
+    }
+  } catch (error) {
+    if (isStale()) return;
+    console.error('Failed to load assigned tasks:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    document.getElementById('assignedTasksList').innerHTML = `
+      <div class="empty-state">
+        <p class="text-error">Failed to load tasks. Please try again.</p>
+      </div>
+    `;
+  }
+}
+
+// Refresh unread message counts on the tab buttons and cards
+async function loadUnreadCounts() {
+  try {
+    const counts = await apiService.messages.getUnreadCounts();
+    if (!router.isActive(myTasksView)) return;
+
+    unreadCounts = { posted: 0, assigned: 0, tasks: {}, ...counts };
+    taskMessages.applyUnreadCounts(document.querySelector('.tabs'), {
+      posted: unreadCounts.posted,
+      assigned: unreadCounts.assigned,
+    });
+    taskMessages.applyUnreadCounts(document.getElementById('postedTasksList'), unreadCounts.tasks);
+    taskMessages.applyUnreadCounts(document.getElementById('assignedTasksList'), unreadCounts.tasks);
+  } catch (error) {
+    // Counts are a nicety - keep the last ones
+    console.error('Failed to load unread counts:', error);
+  }
+}
+
+// Reload a list after live events, once a burst of them has settled
+const reloadPostedSoon = utils.debounce(() => {
+  if (router.isActive(myTasksView)) loadPostedTasks();
+}, 500);
+const reloadAssignedSoon = utils.debounce(() => {
+  if (router.isActive(myTasksView)) loadAssignedTasks();
+}, 500);
+
+// Cards carry a lot of derived state (slots, milestones, permissions), so a
+// live event reloads the list the task is (or now belongs) in
+function applyLiveEvent(event) {
+  const task = event.task;
+  if (!task?._id) return;
+
+  const me = appShell.currentUser.get()?._id;
+  const ownerId = task.owner?._id || task.owner;
+  const workerId = event.worker?._id || event.worker || task.assignedTo?._id || task.assignedTo;
+
+  if (postedTasks.some(t => t._id === task._id) || (me && ownerId === me)) reloadPostedSoon();
+  if (assignedTasks.some(t => t._id === task._id) || (me && workerId === me)) reloadAssignedSoon();
+}
+
+// Open a card's message thread; reading it changes the counts
+function openMessages(task) {
+  taskMessages.openThreadModal(task, { onClose: loadUnreadCounts });
+}
+
+// Switch between the posted and assigned tabs
+function selectTab(tab) {
+  currentTab = tab;
+
+  // Update tab buttons
+  document.querySelectorAll('.tab-button').forEach(b => {
+    b.classList.toggle('active', b.dataset.tab === tab);
+  });
+
+  // Update tab content
+  document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+  document.getElementById(`${tab}Tab`).classList.add('active');
+}
+
+// Open review modal
+window.openReviewModal = function(taskId) {
+  const task = postedTasks.find(t => t._id === taskId);
+  if (task) taskActions.openReviewModal(task, { onDone: loadPostedTasks });
+};
+
+// Open submit modal
+window.openSubmitModal = function(taskId) {
+  const task = assignedTasks.find(t => t._id === taskId);
+  if (task) taskActions.openSubmitModal(task, { onDone: loadAssignedTasks });
+};
+
+// Send submitted work back to the worker
+window.openRequestChangesModal = function(taskId) {
+  const task = postedTasks.find(t => t._id === taskId);
+  if (task) taskActions.openRequestChangesModal(task, { onDone: loadPostedTasks });
+};
+
+// Escalate a task from either tab to arbitration
+window.openDisputeModal = function(taskId) {
+  const task = postedTasks.find(t => t._id === taskId) || assignedTasks.find(t => t._id === taskId);
+  if (task) taskActions.openDisputeModal(task);
+};
+
+// Edit an open task
+window.openEditTaskModal = function(taskId) {
+  const task = postedTasks.find(t => t._id === taskId);
+  if (task) taskActions.openEditModal(task, { onDone: loadPostedTasks });
+};
+
+// Cancel an open task and refund the escrow
+window.cancelTask = function(taskId) {
+  const task = postedTasks.find(t => t._id === taskId);
+  if (task) taskActions.cancel(task, { onDone: loadPostedTasks });
+};
+
+// Release the worker from an assigned task
+window.unassignTask = function(taskId) {
+  const task = postedTasks.find(t => t._id === taskId);
+  if (task) taskActions.unassign(task, { onDone: loadPostedTasks });
+};
+
+// Drop a task posted offline before it syncs
+async function discardPendingPost(entryId) {
+  const confirmed = await uiComponents.modal.confirm({
+    title: 'Discard Task',
+    message: "This task hasn't been posted yet. Discard it?",
+    confirmText: 'Discard',
+    confirmClass: 'btn-error',
+  });
+
+  if (confirmed) outbox.remove(entryId);
+}
+
+// Buttons inside posted cards' applicant and slot lists (see taskActions.renderApplicants / renderSlots)
+function handlePostedListAction(e) {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+
+  if (btn.dataset.action === 'discard-pending') {
+    discardPendingPost(btn.closest('.task-card').dataset.outboxId);
+    return;
+  }
+
+  const task = postedTasks.find(t => t._id === btn.closest('.task-card')?.dataset.taskId);
+  if (!task) return;
+
+  const assignment = (task.assignments || []).find(a => a._id === btn.dataset.assignmentId);
+
+  switch (btn.dataset.action) {
+    case 'open-messages':
+      openMessages(task);
+      break;
+    case 'choose-applicant': {
+      const application = (task.applications || []).find(a => a._id === btn.dataset.applicationId);
+      if (application) taskActions.acceptApplication(task, application, { onDone: loadPostedTasks });
+      break;
+    }
+    case 'approve-slot':
+      if (assignment) taskActions.openReviewModal(task, { assignment, onDone: loadPostedTasks });
+      break;
+    case 'approve-milestone': {
+      const milestone = (task.milestones || []).find(m => m._id === btn.dataset.milestoneId);
+      if (milestone) taskActions.approveMilestone(task, milestone, { onDone: loadPostedTasks });
+      break;
+    }
+    case 'request-changes-slot':
+      if (assignment) taskActions.openRequestChangesModal(task, { assignment, onDone: loadPostedTasks });
+      break;
+  }
+}
+
+// Milestone buttons inside assigned cards (see taskActions.renderMilestones)
+function handleAssignedListAction(e) {
+  const btn = e.target.closest('[data-action="submit-milestone"], [data-action="open-messages"]');
+  if (!btn) return;
+
+  const task = assignedTasks.find(t => t._id === btn.closest('.task-card')?.dataset.taskId);
+  if (!task) return;
+
+  if (btn.dataset.action === 'open-messages') {
+    openMessages(task);
+    return;
+  }
+
+  const milestone = task.milestones?.find(m => m._id === btn.dataset.milestoneId);
+  if (milestone) taskActions.openSubmitModal(task, { milestone, onDone: loadAssignedTasks });
+}
+
+// Back out of a task assigned to me
+window.withdrawFromTask = function(taskId) {
+  const task = assignedTasks.find(t => t._id === taskId);
+  if (task) taskActions.withdraw(task, { onDone: loadAssignedTasks });
+};
+
+const myTasksView = {
+  title: 'My Tasks',
+  nav: 'my-tasks',
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container">
+        <div class="page-header mb-6">
+          <h1 class="text-3xl font-bold">My Tasks</h1>
+          <p class="text-secondary mt-2">Manage tasks you posted and are assigned to</p>
+        </div>
+
+        <!-- Tabs -->
+        <div class="tabs mb-6">
+          <button class="tab-button active" data-tab="posted">
+            Posted by Me ${taskMessages.renderUnreadCount(0, 'posted')}
+          </button>
+          <button class="tab-button" data-tab="assigned">
+            Assigned to Me ${taskMessages.renderUnreadCount(0, 'assigned')}
+          </button>
+        </div>
+
+        <!-- Posted Tasks Tab -->
+        <div id="postedTab" class="tab-content active">
+          <div id="postedTasksList">
+            <!-- Skeleton loaders -->
+            <div class="task-card">
+              <div class="skeleton skeleton-title"></div>
+              <div class="skeleton skeleton-text"></div>
+              <div class="skeleton skeleton-text" style="width: 60%;"></div>
+            </div>
+            <div class="task-card">
+              <div class="skeleton skeleton-title"></div>
+              <div class="skeleton skeleton-text"></div>
+              <div class="skeleton skeleton-text" style="width: 60%;"></div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Assigned Tasks Tab -->
+        <div id="assignedTab" class="tab-content">
+          <div id="assignedTasksList">
+            <!-- Skeleton loaders -->
+            <div class="task-card">
+              <div class="skeleton skeleton-title"></div>
+              <div class="skeleton skeleton-text"></div>
+              <div class="skeleton skeleton-text" style="width: 60%;"></div>
+            </div>
+            <div class="task-card">
+              <div class="skeleton skeleton-title"></div>
+              <div class="skeleton skeleton-text"></div>
+              <div class="skeleton skeleton-text" style="width: 60%;"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Bind tabs and load both task lists once the markup is in place
+   * @param {HTMLElement} outlet - View container
+   * @param {object} params - Route params
+   * @param {URLSearchParams} query - Hash query (?tab=posted|assigned)
+   * @returns {Function} Cleanup - stops the deadline countdowns, unread polling, live updates and outbox watching
+   */
+  mount(outlet, params, query) {
+    // Tab switching
+    document.querySelectorAll('.tab-button').forEach(btn => {
+      btn.addEventListener('click', () => selectTab(btn.dataset.tab));
+    });
+
+    // #/my-tasks?tab=assigned opens the second tab directly
+    selectTab(query.get('tab') === 'assigned' ? 'assigned' : 'posted');
+
+    document.getElementById('postedTasksList').addEventListener('click', handlePostedListAction);
+    document.getElementById('assignedTasksList').addEventListener('click', handleAssignedListAction);
+
+    postedTasks = [];
+    assignedTasks = [];
+    unreadCounts = { posted: 0, assigned: 0, tasks: {} };
+    Promise.all([loadPostedTasks(), loadAssignedTasks()]);
+
+    loadUnreadCounts();
+    const unreadTimer = setInterval(() => {
+      if (document.visibilityState !== 'hidden') loadUnreadCounts();
+    }, UNREAD_POLL_MS);
+
+    const findTask = (id) => postedTasks.find(t => t._id === id) || assignedTasks.find(t => t._id === id);
+    const stopDeadlines = taskActions.watchDeadlines(outlet, findTask);
+    const unsubscribe = live.subscribe(applyLiveEvent);
+
+    // Offline changes synced or discarded - show the lists as they are now
+    const stopOutbox = outbox.subscribe(() => {
+      reloadPostedSoon();
+      reloadAssignedSoon();
+    });
+
+    return () => {
+      clearInterval(unreadTimer);
+      stopDeadlines();
+      unsubscribe();
+      stopOutbox();
+    };
+  },
+};
+
+export default myTasksView;
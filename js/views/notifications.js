@@ -0,0 +1,251 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import notifications from '../notifications.js';
+import router from '../router.js';
+
+const PAGE_SIZE = 20;
+
+// Filter chips - `unread` is sent to the server as-is
+const FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'true', label: 'Unread' },
+];
+
+let items = [];
+let nextCursor = null;
+let unreadOnly = '';
+let requestId = 0;
+let lastUnread = 0;
+
+// Render a single notification
+function renderNotification(notification) {
+  const href = notifications.linkFor(notification);
+  const id = encodeURIComponent(notification._id);
+  const body = `
+    <div class="text-sm">${notifications.describe(notification)}</div>
+    <div class="text-xs text-secondary mt-1">${utils.formatDate(notification.createdAt)}</div>
+  `;
+
+  return `
+    <div class="notification-item ${notification.read ? '' : 'unread'}" data-id="${id}">
+      <span class="notification-dot" aria-hidden="true"></span>
+      ${href
+        ? `<a href="${href}" class="notification-body" data-action="open">${body}</a>`
+        : `<div class="notification-body">${body}</div>`}
+      ${notification.read ? '' : `
+        <button type="button" class="btn btn-ghost btn-sm" data-action="mark-read">Mark read</button>
+      `}
+    </div>
+  `;
+}
+
+// Render the notifications loaded so far
+function renderNotifications() {
+  const list = document.getElementById('notificationList');
+  const loadMoreBtn = document.getElementById('notificationsLoadMore');
+
+  if (items.length === 0) {
+    list.innerHTML = `
+      <div class="empty-state">
+        <p class="text-secondary">${unreadOnly ? "You're all caught up." : 'No notifications yet.'}</p>
+      </div>
+    `;
+  } else {
+    list.innerHTML = items.map(renderNotification).join('');
+  }
+
+  loadMoreBtn.classList.toggle('hidden', !nextCursor);
+}
+
+// Update the shared count from here without treating it as news (see mount)
+function setUnread(count) {
+  lastUnread = Math.max(0, count);
+  notifications.setUnread(count);
+}
+
+// "Mark all read" is only useful while something is unread
+function renderMarkAll(count) {
+  document.getElementById('markAllReadBtn').disabled = count === 0;
+}
+
+// Load notifications
+// Pass append = true to fetch the next page after the current cursor
+async function loadNotifications(append = false) {
+  // Ignore responses for filters that have since changed, or after leaving the page
+  const currentRequest = ++requestId;
+  const isStale = () => currentRequest !== requestId || !router.isActive(notificationsView);
+  const list = document.getElementById('notificationList');
+  const loadMoreBtn = document.getElementById('notificationsLoadMore');
+
+  if (!append) {
+    list.innerHTML = uiComponents.skeleton.multiple('card', 3);
+    loadMoreBtn.classList.add('hidden');
+  } else {
+    utils.showLoading(loadMoreBtn);
+  }
+
+  try {
+    const response = await apiService.notifications.list({
+      unread: unreadOnly,
+      cursor: append ? nextCursor : undefined,
+      limit: PAGE_SIZE,
+    });
+    if (isStale()) return;
+
+    const page = response.notifications || response || [];
+    items = append ? items.concat(page) : page;
+    nextCursor = response.nextCursor || null;
+    if (typeof response.unread === 'number') setUnread(response.unread);
+
+    renderNotifications();
+  } catch (error) {
+    if (isStale()) return;
+
+    console.error('Failed to load notifications:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    if (!append) {
+      list.innerHTML = `
+        <div class="empty-state">
+          <p class="text-error">Failed to load notifications. Please try again.</p>
+        </div>
+      `;
+    }
+  } finally {
+    if (append) utils.hideLoading(loadMoreBtn);
+  }
+}
+
+// Mark one notification read; the item is updated straight away and put back if the request fails
+// Pass rerender = false while its link is being followed - a detached link doesn't navigate
+async function markRead(notification, rerender = true) {
+  if (notification.read) return;
+
+  notification.read = true;
+  setUnread(notifications.getUnread() - 1);
+  if (rerender) renderNotifications();
+
+  try {
+    const response = await apiService.notifications.markRead(notification._id);
+    if (typeof response.unread === 'number') setUnread(response.unread);
+  } catch (error) {
+    console.error('Failed to mark notification read:', error);
+    notification.read = false;
+    setUnread(notifications.getUnread() + 1);
+    if (router.isActive(notificationsView)) {
+      renderNotifications();
+      uiComponents.toast.error(utils.parseError(error));
+    }
+  }
+}
+
+async function markAllRead() {
+  const btn = document.getElementById('markAllReadBtn');
+  utils.showLoading(btn);
+
+  try {
+    await apiService.notifications.markAllRead();
+    setUnread(0);
+    if (!router.isActive(notificationsView)) return;
+
+    items.forEach(notification => {
+      notification.read = true;
+    });
+    renderNotifications();
+  } catch (error) {
+    console.error('Failed to mark notifications read:', error);
+    uiComponents.toast.error(utils.parseError(error));
+  } finally {
+    utils.hideLoading(btn);
+    btn.disabled = notifications.getUnread() === 0;
+  }
+}
+
+const notificationsView = {
+  title: 'Notifications',
+  nav: 'notifications',
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container">
+        <div class="page-header mb-6 flex justify-between items-center">
+          <div>
+            <h1 class="text-3xl font-bold">Notifications</h1>
+            <p class="text-secondary mt-2">Activity on your tasks and profile</p>
+          </div>
+          <button type="button" class="btn btn-outline btn-sm" id="markAllReadBtn">Mark all read</button>
+        </div>
+
+        <div class="chip-group mb-4" id="notificationFilters" role="group" aria-label="Filter notifications">
+          ${FILTERS.map(filter => `
+            <button type="button" class="chip ${filter.value === '' ? 'active' : ''}" data-unread="${filter.value}">${filter.label}</button>
+          `).join('')}
+        </div>
+
+        <div class="card">
+          <div id="notificationList"></div>
+          <div class="text-center mt-4">
+            <button type="button" class="btn btn-outline hidden" id="notificationsLoadMore">Load more</button>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Load the first page and keep it in step with the unread count
+   * @returns {Function} Cleanup - stops listening for count changes
+   */
+  mount() {
+    items = [];
+    nextCursor = null;
+    unreadOnly = '';
+    lastUnread = notifications.getUnread();
+
+    document.querySelectorAll('#notificationFilters .chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        document.querySelectorAll('#notificationFilters .chip').forEach(c => c.classList.remove('active'));
+        chip.classList.add('active');
+        unreadOnly = chip.dataset.unread;
+        loadNotifications();
+      });
+    });
+
+    document.getElementById('notificationList').addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action]');
+      const row = target?.closest('[data-id]');
+      if (!row) return;
+
+      const notification = items.find(n => n._id === decodeURIComponent(row.dataset.id));
+      if (!notification) return;
+
+      // Opening one counts as reading it; the link itself navigates
+      if (target.dataset.action === 'open') markRead(notification, false);
+      if (target.dataset.action === 'mark-read') markRead(notification);
+    });
+
+    document.getElementById('markAllReadBtn').addEventListener('click', markAllRead);
+
+    document.getElementById('notificationsLoadMore').addEventListener('click', () => {
+      if (nextCursor) loadNotifications(true);
+    });
+
+    // A higher count means something new arrived - show it
+    const unsubscribe = notifications.subscribe((count) => {
+      renderMarkAll(count);
+      if (count > lastUnread) loadNotifications();
+      lastUnread = count;
+    });
+
+    renderMarkAll(lastUnread);
+    loadNotifications();
+
+    return unsubscribe;
+  },
+};
+
+export default notificationsView;
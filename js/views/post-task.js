@@ -0,0 +1,524 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+import router from '../router.js';
+import tags from '../tags.js';
+import attachments from '../attachments.js';
+import markdown from '../markdown.js';
+
+const MAX_SLOTS = 50;
+const MAX_MILESTONES = 10;
+
+// One editable milestone row in the post form
+function renderMilestoneRow() {
+  return `
+    <div class="milestone-row">
+      <input type="text" class="form-input" data-field="title" placeholder="Milestone title" maxlength="100">
+      <input type="number" class="form-input" data-field="coins" placeholder="Coins" min="1" step="1">
+      <button type="button" class="btn btn-ghost btn-sm" data-action="remove-milestone" aria-label="Remove milestone">&times;</button>
+    </div>
+  `;
+}
+
+// Read the milestone rows as { title, coins }
+function readMilestones() {
+  return [...document.querySelectorAll('#milestoneList .milestone-row')].map(row => ({
+    title: row.querySelector('[data-field="title"]').value.trim(),
+    coins: parseInt(row.querySelector('[data-field="coins"]').value) || 0,
+  }));
+}
+
+// Keep the balance display in sync with the current user
+function renderBalance(user) {
+  const userCoins = document.getElementById('userCoins');
+  userCoins.textContent = `${utils.formatNumber(user.coins || 0)} Coins`;
+}
+
+const postTaskView = {
+  title: 'Post Task',
+  nav: 'post-task',
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container">
+        <div class="page-header mb-6">
+          <h1 class="text-3xl font-bold">Post New Task</h1>
+          <p class="text-secondary mt-2">Create a task for others to complete</p>
+        </div>
+
+        <!-- Coin Balance Info -->
+        <div class="card mb-6" id="balanceCard">
+          <div class="flex items-center justify-between">
+            <div>
+              <div class="text-sm text-secondary mb-1">Your Available Balance</div>
+              <div class="text-2xl font-bold flex items-center gap-2">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="28" height="28" class="text-warning">
+                  <circle cx="12" cy="12" r="10"/>
+                  <path d="M12 6v6l4 2"/>
+                </svg>
+                <span class="text-primary" id="userCoins">
+                  <div class="skeleton skeleton-text" style="width: 100px; height: 28px;"></div>
+                </span>
+              </div>
+            </div>
+            <div class="text-xs text-secondary">
+              Tasks cost coins to post
+            </div>
+          </div>
+        </div>
+
+        <!-- Post Task Form -->
+        <div class="card">
+          <form id="createTaskForm" novalidate>
+            <div class="form-group">
+              <label for="title" class="form-label">Task Title</label>
+              <input 
+                type="text" 
+                id="title" 
+                name="title" 
+                class="form-input" 
+                placeholder="e.g., Design a logo for my website" 
+                required
+                maxlength="100"
+              >
+              <div class="form-error" id="titleError"></div>
+            </div>
+
+            <div class="form-group">
+              <label for="description" class="form-label">Description</label>
+              ${markdown.renderEditorTabs('description')}
+              <textarea 
+                id="description" 
+                name="description" 
+                class="form-textarea" 
+                placeholder="Provide detailed instructions for the task..." 
+                required
+                rows="6"
+                maxlength="2000"
+              ></textarea>
+              <div class="form-error" id="descriptionError"></div>
+              <div class="text-xs text-secondary mt-2">
+                <span id="charCount">0</span>/2000 characters
+              </div>
+            </div>
+
+            ${attachments.renderDropzone('task')}
+
+            <div class="form-group">
+              <label for="category" class="form-label">Category</label>
+              <select id="category" name="category" class="form-select">
+                <option value="">Choose a category</option>
+                ${tags.CATEGORIES.map(c => `<option value="${c.value}">${c.label}</option>`).join('')}
+              </select>
+            </div>
+
+            <div class="form-group">
+              <label for="tags" class="form-label">Tags</label>
+              <input 
+                type="text" 
+                id="tags" 
+                name="tags" 
+                class="form-input" 
+                placeholder="e.g., logo, illustrator, branding"
+              >
+              <div class="form-error" id="tagsError"></div>
+              <div class="text-xs text-secondary mt-2">
+                Comma-separated, up to ${tags.MAX_TAGS}. Workers whose skills match your tags see the task recommended.
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label for="coins" class="form-label">Coins to Offer</label>
+              <div class="input-group">
+                <span class="input-icon">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                    <circle cx="12" cy="12" r="10"/>
+                    <path d="M12 6v6l4 2"/>
+                  </svg>
+                </span>
+                <input 
+                  type="number" 
+                  id="coins" 
+                  name="coins" 
+                  class="form-input" 
+                  placeholder="Enter coin amount" 
+                  required
+                  min="1"
+                  step="1"
+                >
+              </div>
+              <div class="form-error" id="coinsError"></div>
+              <div class="text-xs text-secondary mt-2">
+                Minimum: 1 coin
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label for="slots" class="form-label">Slots</label>
+              <input 
+                type="number" 
+                id="slots" 
+                name="slots" 
+                class="form-input" 
+                value="1"
+                min="1"
+                max="${MAX_SLOTS}"
+                step="1"
+              >
+              <div class="form-error" id="slotsError"></div>
+              <div class="text-xs text-secondary mt-2" id="slotsHelp">
+                How many people should do this task? Each one is paid the full reward.
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label for="deadline" class="form-label">Deadline (optional)</label>
+              <input 
+                type="datetime-local" 
+                id="deadline" 
+                name="deadline" 
+                class="form-input"
+              >
+              <div class="form-error" id="deadlineError"></div>
+              <label class="flex items-center gap-2 mt-2 text-sm">
+                <input type="checkbox" id="autoReturn" name="autoReturn" disabled>
+                Return the task to open if the worker misses the deadline
+              </label>
+            </div>
+
+            <div class="form-group">
+              <label class="flex items-center gap-2">
+                <input type="checkbox" id="acceptApplications" name="acceptApplications">
+                <span class="form-label" style="margin: 0;">Accept applications</span>
+              </label>
+              <div class="text-xs text-secondary mt-2">
+                Workers send a pitch (and optionally a counter-offer) and you choose who does the task. Otherwise the first worker to accept gets it.
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label class="flex items-center gap-2">
+                <input type="checkbox" id="useMilestones" name="useMilestones">
+                <span class="form-label" style="margin: 0;">Split into milestones</span>
+              </label>
+              <div class="text-xs text-secondary mt-2">
+                The worker submits each milestone separately and you release its coins when you approve it.
+              </div>
+              <div id="milestoneEditor" class="hidden mt-4">
+                <div id="milestoneList"></div>
+                <button type="button" class="btn btn-ghost btn-sm" id="addMilestone">+ Add milestone</button>
+                <div class="text-xs text-secondary mt-2" id="milestoneTotal"></div>
+                <div class="form-error" id="milestonesError"></div>
+              </div>
+            </div>
+
+            <div class="flex gap-3">
+              <button type="submit" class="btn btn-primary flex-1">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                  <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/>
+                  <polyline points="17 21 17 13 7 13 7 21"/>
+                  <polyline points="7 3 7 8 15 8"/>
+                </svg>
+                Post Task
+              </button>
+              <a href="#/dashboard" class="btn btn-outline">
+                Cancel
+              </a>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Wire up the form once the markup is in place
+   * @returns {Function} Cleanup
+   */
+  mount() {
+    // Form elements
+    const createTaskForm = document.getElementById('createTaskForm');
+    const titleInput = document.getElementById('title');
+    const descriptionInput = document.getElementById('description');
+    const coinsInput = document.getElementById('coins');
+    const titleError = document.getElementById('titleError');
+    const descriptionError = document.getElementById('descriptionError');
+    const coinsError = document.getElementById('coinsError');
+    const slotsInput = document.getElementById('slots');
+    const slotsError = document.getElementById('slotsError');
+    const slotsHelp = document.getElementById('slotsHelp');
+    const categorySelect = document.getElementById('category');
+    const dropzone = attachments.mountDropzone(createTaskForm, 'task');
+    markdown.mountEditor(createTaskForm, 'description');
+    const tagsInput = document.getElementById('tags');
+    const tagsError = document.getElementById('tagsError');
+    const deadlineInput = document.getElementById('deadline');
+    const deadlineError = document.getElementById('deadlineError');
+    const autoReturnInput = document.getElementById('autoReturn');
+    const useMilestonesInput = document.getElementById('useMilestones');
+    const milestoneEditor = document.getElementById('milestoneEditor');
+    const milestoneList = document.getElementById('milestoneList');
+    const addMilestoneBtn = document.getElementById('addMilestone');
+    const milestoneTotal = document.getElementById('milestoneTotal');
+    const milestonesError = document.getElementById('milestonesError');
+    const charCount = document.getElementById('charCount');
+
+    // Character counter
+    descriptionInput.addEventListener('input', () => {
+      charCount.textContent = descriptionInput.value.length;
+      descriptionInput.classList.remove('error');
+      descriptionError.textContent = '';
+    });
+
+    // Clear errors on input
+    titleInput.addEventListener('input', () => {
+      titleInput.classList.remove('error');
+      titleError.textContent = '';
+    });
+
+    tagsInput.addEventListener('input', () => {
+      tagsInput.classList.remove('error');
+      tagsError.textContent = '';
+    });
+
+    // Deadlines can't be in the past; auto-return only makes sense with one
+    deadlineInput.min = utils.toDateTimeLocal(new Date());
+    deadlineInput.addEventListener('input', () => {
+      deadlineInput.classList.remove('error');
+      deadlineError.textContent = '';
+      autoReturnInput.disabled = !deadlineInput.value;
+      if (!deadlineInput.value) autoReturnInput.checked = false;
+    });
+
+    // Milestone shares have to add up to the reward
+    const updateMilestoneTotal = () => {
+      const total = readMilestones().reduce((sum, m) => sum + m.coins, 0);
+      const coins = parseInt(coinsInput.value) || 0;
+      milestoneTotal.textContent = `Milestones add up to ${utils.formatNumber(total)} of ${utils.formatNumber(coins)} coins`;
+      milestoneTotal.classList.toggle('text-error', total !== coins);
+      addMilestoneBtn.classList.toggle('hidden', milestoneList.children.length >= MAX_MILESTONES);
+    };
+
+    useMilestonesInput.addEventListener('change', () => {
+      milestoneEditor.classList.toggle('hidden', !useMilestonesInput.checked);
+      milestonesError.textContent = '';
+      if (useMilestonesInput.checked && milestoneList.children.length === 0) {
+        milestoneList.innerHTML = renderMilestoneRow() + renderMilestoneRow();
+      }
+      updateMilestoneTotal();
+    });
+
+    addMilestoneBtn.addEventListener('click', () => {
+      milestoneList.insertAdjacentHTML('beforeend', renderMilestoneRow());
+      updateMilestoneTotal();
+    });
+
+    milestoneList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-action="remove-milestone"]');
+      if (!removeBtn) return;
+      removeBtn.closest('.milestone-row').remove();
+      updateMilestoneTotal();
+    });
+
+    milestoneList.addEventListener('input', () => {
+      milestonesError.textContent = '';
+      updateMilestoneTotal();
+    });
+
+    // Every slot is escrowed up front - show the total
+    const updateEscrowTotal = () => {
+      const coins = parseInt(coinsInput.value) || 0;
+      const slots = parseInt(slotsInput.value) || 1;
+      slotsHelp.textContent = slots > 1
+        ? `${slots} people each earn ${utils.formatNumber(coins)} coins - ${utils.formatNumber(coins * slots)} coins will be escrowed`
+        : 'How many people should do this task? Each one is paid the full reward.';
+    };
+
+    coinsInput.addEventListener('input', () => {
+      coinsInput.classList.remove('error');
+      coinsError.textContent = '';
+      updateEscrowTotal();
+      updateMilestoneTotal();
+    });
+
+    slotsInput.addEventListener('input', () => {
+      slotsInput.classList.remove('error');
+      slotsError.textContent = '';
+      updateEscrowTotal();
+    });
+
+    // Form submission
+    createTaskForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      // Clear previous errors
+      titleInput.classList.remove('error');
+      descriptionInput.classList.remove('error');
+      coinsInput.classList.remove('error');
+      slotsInput.classList.remove('error');
+      titleError.textContent = '';
+      descriptionError.textContent = '';
+      coinsError.textContent = '';
+      slotsError.textContent = '';
+      milestonesError.textContent = '';
+      deadlineInput.classList.remove('error');
+      deadlineError.textContent = '';
+
+      // Get form values
+      const currentUser = appShell.currentUser.get();
+      const title = titleInput.value.trim();
+      const description = descriptionInput.value.trim();
+      const coins = parseInt(coinsInput.value);
+      const slots = parseInt(slotsInput.value);
+      const acceptApplications = document.getElementById('acceptApplications').checked;
+      const milestones = useMilestonesInput.checked ? readMilestones() : null;
+      const category = categorySelect.value;
+      const taskTags = tags.parse(tagsInput.value);
+      // datetime-local values are local time; send an absolute timestamp
+      const deadline = deadlineInput.value ? new Date(deadlineInput.value) : null;
+
+      // Validate
+      let hasError = false;
+
+      if (!title) {
+        titleInput.classList.add('error');
+        titleError.textContent = 'Title is required';
+        hasError = true;
+      } else if (title.length < 5) {
+        titleInput.classList.add('error');
+        titleError.textContent = 'Title must be at least 5 characters';
+        hasError = true;
+      }
+
+      if (!description) {
+        descriptionInput.classList.add('error');
+        descriptionError.textContent = 'Description is required';
+        hasError = true;
+      } else if (description.length < 10) {
+        descriptionInput.classList.add('error');
+        descriptionError.textContent = 'Description must be at least 10 characters';
+        hasError = true;
+      }
+
+      if (!coins || isNaN(coins)) {
+        coinsInput.classList.add('error');
+        coinsError.textContent = 'Coins amount is required';
+        hasError = true;
+      } else if (coins < 1) {
+        coinsInput.classList.add('error');
+        coinsError.textContent = 'Minimum 1 coin required';
+        hasError = true;
+      }
+
+      if (!slots || isNaN(slots) || slots < 1 || slots > MAX_SLOTS) {
+        slotsInput.classList.add('error');
+        slotsError.textContent = `Between 1 and ${MAX_SLOTS} slots`;
+        hasError = true;
+      } else if (coins >= 1 && currentUser && coins * slots > currentUser.coins) {
+        coinsInput.classList.add('error');
+        coinsError.textContent = slots > 1
+          ? `Insufficient balance. ${slots} slots need ${utils.formatNumber(coins * slots)} coins; you have ${utils.formatNumber(currentUser.coins)}`
+          : `Insufficient balance. You have ${utils.formatNumber(currentUser.coins)} coins`;
+        hasError = true;
+      }
+
+      if (taskTags.length > tags.MAX_TAGS) {
+        tagsInput.classList.add('error');
+        tagsError.textContent = `Up to ${tags.MAX_TAGS} tags`;
+        hasError = true;
+      } else if (taskTags.some(tag => tag.length > tags.MAX_TAG_LENGTH)) {
+        tagsInput.classList.add('error');
+        tagsError.textContent = `Tags can be up to ${tags.MAX_TAG_LENGTH} characters`;
+        hasError = true;
+      }
+
+      if (deadline && (isNaN(deadline) || deadline <= new Date())) {
+        deadlineInput.classList.add('error');
+        deadlineError.textContent = 'Deadline must be in the future';
+        hasError = true;
+      }
+
+      if (milestones) {
+        const total = milestones.reduce((sum, m) => sum + m.coins, 0);
+
+        if (milestones.length < 2) {
+          milestonesError.textContent = 'Add at least 2 milestones';
+          hasError = true;
+        } else if (milestones.some(m => m.title.length < 3 || m.coins < 1)) {
+          milestonesError.textContent = 'Each milestone needs a title (3+ characters) and at least 1 coin';
+          hasError = true;
+        } else if (coins >= 1 && total !== coins) {
+          milestonesError.textContent = `Milestones must add up to the reward (${utils.formatNumber(total)} of ${utils.formatNumber(coins)} coins)`;
+          hasError = true;
+        } else if (slots > 1) {
+          milestonesError.textContent = 'Milestones can only be used with a single slot';
+          hasError = true;
+        } else if (acceptApplications) {
+          // A counter-offer would change the reward the milestones add up to
+          milestonesError.textContent = "Milestones can't be combined with accepting applications";
+          hasError = true;
+        }
+      }
+
+      if (hasError) return;
+
+      if (dropzone.isUploading()) {
+        uiComponents.toast.warning('Please wait for your files to finish uploading');
+        return;
+      }
+
+      // Submit task
+      const submitBtn = createTaskForm.querySelector('button[type="submit"]');
+      utils.showLoading(submitBtn);
+
+      try {
+        const response = await apiService.tasks.create({
+          title,
+          description,
+          coins,
+          category: category || undefined,
+          tags: taskTags,
+          attachments: dropzone.getIds(),
+          slots,
+          acceptApplications,
+          milestones: milestones || undefined,
+          deadline: deadline ? deadline.toISOString() : undefined,
+          autoReturn: deadline ? autoReturnInput.checked : undefined,
+        });
+
+        if (response.queued) {
+          uiComponents.toast.info("You're offline - the task will be posted when you're back online");
+        } else {
+          uiComponents.toast.success('Task posted successfully!');
+
+          // The reward is now held in escrow - refresh the balance everywhere
+          appShell.currentUser.refresh().catch(() => {});
+        }
+        
+        // Redirect to my tasks after a short delay
+        setTimeout(() => {
+          if (router.isActive(postTaskView)) router.navigate('/my-tasks');
+        }, 1000);
+      } catch (error) {
+        console.error('Failed to post task:', error);
+        uiComponents.toast.error(utils.parseError(error));
+        utils.hideLoading(submitBtn);
+      }
+    });
+
+    // Keep the balance display in sync with the current user
+    const unsubscribe = appShell.currentUser.subscribe(renderBalance);
+
+    return () => {
+      unsubscribe();
+      dropzone.destroy();
+    };
+  },
+};
+
+export default postTaskView;
@@ -0,0 +1,205 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+import markdown from '../markdown.js';
+import outbox from '../outbox.js';
+
+let currentUser = null;
+
+// Load profile (rendering happens in the currentUser subscription)
+async function loadProfile(options = {}) {
+  try {
+    await appShell.currentUser.load(options);
+  } catch (error) {
+    console.error('Failed to load profile:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    document.getElementById('profileCard').innerHTML = `
+      <div class="text-center text-error">
+        <p>Failed to load profile. Please try again.</p>
+      </div>
+    `;
+  }
+}
+
+// Render profile
+function renderProfile() {
+  const skills = currentUser.skills || [];
+  const rating = currentUser.rating || 0;
+
+  document.getElementById('profileCard').innerHTML = `
+    <div class="text-center mb-6">
+      <div class="user-avatar" style="width: 100px; height: 100px; margin: 0 auto 16px; background: linear-gradient(135deg, var(--color-primary), var(--color-secondary)); display: flex; align-items: center; justify-content: center; border-radius: var(--radius-full); color: white; font-weight: 600; font-size: 36px;">
+        ${utils.getInitials(currentUser.name)}
+      </div>
+      <h2 class="text-2xl font-bold mb-2">
+        ${utils.sanitizeHTML(currentUser.name)}
+        ${outbox.list({ kind: 'profile.update' }).length > 0 ? outbox.renderBadge() : ''}
+      </h2>
+      <div class="flex items-center justify-center gap-4 mb-4">
+        <div class="flex items-center gap-1">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20" class="text-warning">
+            <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+          </svg>
+          <span class="font-medium">${rating.toFixed(1)}</span>
+        </div>
+        <div class="flex items-center gap-1">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20" class="text-warning">
+            <circle cx="12" cy="12" r="10"/>
+            <path d="M12 6v6l4 2"/>
+          </svg>
+          <span class="font-medium">${utils.formatNumber(currentUser.coins || 0)} Coins</span>
+        </div>
+      </div>
+      <button class="btn btn-primary" onclick="openEditModal()">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+          <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+          <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+        </svg>
+        Edit Profile
+      </button>
+    </div>
+
+    ${currentUser.bio ? `
+      <div class="mb-6">
+        <h3 class="text-lg font-semibold mb-2">Bio</h3>
+        <div class="text-secondary markdown">${markdown.render(currentUser.bio)}</div>
+      </div>
+    ` : ''}
+
+    ${skills.length > 0 ? `
+      <div>
+        <h3 class="text-lg font-semibold mb-3">Skills</h3>
+        <div class="flex flex-wrap gap-2">
+          ${skills.map(skill => `<span class="badge badge-secondary">${utils.sanitizeHTML(skill)}</span>`).join('')}
+        </div>
+      </div>
+    ` : ''}
+  `;
+}
+
+// Open edit modal
+window.openEditModal = function() {
+  const skills = currentUser.skills || [];
+  const skillsText = skills.join(', ');
+
+  const content = `
+    <form id="editProfileForm">
+      <div class="form-group">
+        <label class="form-label" for="editName">Name</label>
+        <input type="text" id="editName" class="form-input" value="${utils.escapeAttribute(currentUser.name)}" required>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="editBio">Bio</label>
+        <textarea id="editBio" class="form-input" rows="4" placeholder="Tell us about yourself...">${utils.sanitizeHTML(currentUser.bio || '')}</textarea>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="editSkills">Skills</label>
+        <input type="text" id="editSkills" class="form-input" value="${utils.escapeAttribute(skillsText)}" placeholder="JavaScript, Python, Design...">
+        <p class="text-xs text-secondary mt-2">Separate skills with commas</p>
+      </div>
+    </form>
+  `;
+
+  const footer = `
+    <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+    <button class="btn btn-primary" data-action="save">Save Changes</button>
+  `;
+
+  const { backdrop, modal, close } = uiComponents.modal.show({
+    title: 'Edit Profile',
+    content,
+    footer,
+    closeOnBackdrop: false,
+  });
+
+  // Handle buttons
+  modal.addEventListener('click', async (e) => {
+    const action = e.target.dataset.action;
+
+    if (action === 'cancel') {
+      close();
+    } else if (action === 'save') {
+      const name = modal.querySelector('#editName').value.trim();
+      const bio = modal.querySelector('#editBio').value.trim();
+      const skillsInput = modal.querySelector('#editSkills').value.trim();
+      const skills = skillsInput ? skillsInput.split(',').map(s => s.trim()).filter(s => s) : [];
+
+      if (!name) {
+        uiComponents.toast.error('Name is required');
+        return;
+      }
+
+      try {
+        e.target.disabled = true;
+        e.target.textContent = 'Saving...';
+
+        const response = await apiService.users.updateProfile({
+          name,
+          bio,
+          skills,
+        });
+
+        close();
+        if (response.queued) {
+          // Show the edits now; the server's copy replaces them once they sync
+          appShell.currentUser.update({ name, bio, skills });
+          uiComponents.toast.info("You're offline - your changes will be saved when you're back online");
+        } else {
+          uiComponents.toast.success('Profile updated successfully!');
+          await loadProfile({ force: true });
+        }
+      } catch (error) {
+        console.error('Failed to update profile:', error);
+        uiComponents.toast.error(utils.parseError(error));
+        e.target.disabled = false;
+        e.target.textContent = 'Save Changes';
+      }
+    }
+  });
+};
+
+const profileView = {
+  title: 'My Profile',
+  nav: 'profile',
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container" style="max-width: 800px;">
+        <div class="page-header mb-6">
+          <h1 class="text-3xl font-bold">My Profile</h1>
+          <p class="text-secondary mt-2">Manage your profile information</p>
+        </div>
+
+        <!-- Profile Card -->
+        <div class="card" id="profileCard">
+          <!-- Skeleton loader -->
+          <div class="skeleton skeleton-avatar" style="width: 100px; height: 100px; margin: 0 auto 16px;"></div>
+          <div class="skeleton skeleton-title" style="margin: 0 auto 8px; width: 200px;"></div>
+          <div class="skeleton skeleton-text" style="margin: 0 auto; width: 150px;"></div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Render the signed-in user once the markup is in place
+   * @returns {Function} Cleanup
+   */
+  mount() {
+    // Re-render whenever the shared user changes (edits here, coin updates elsewhere)
+    const unsubscribe = appShell.currentUser.subscribe(user => {
+      currentUser = user;
+      renderProfile();
+    });
+    loadProfile();
+
+    return unsubscribe;
+  },
+};
+
+export default profileView;
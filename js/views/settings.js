@@ -0,0 +1,538 @@
+import apiService from '../api.js';
+import config from '../config.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+import markdown from '../markdown.js';
+import notifications from '../notifications.js';
+import push from '../push.js';
+import outbox from '../outbox.js';
+import router from '../router.js';
+
+/**
+ * Events a user can choose notifications for, in display order
+ */
+const NOTIFICATION_EVENTS = [
+  { type: 'task.assigned', label: 'Someone picks up your task' },
+  { type: 'task.submitted', label: 'Work is submitted on your task' },
+  { type: 'task.approved', label: 'Your work is approved' },
+  { type: 'review.received', label: 'You receive a review' },
+  { type: 'message.received', label: 'You receive a message' },
+];
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'push', label: 'Push' },
+  { key: 'email', label: 'Email' },
+];
+
+// Used for any type the server has no saved choice for
+const DEFAULT_CHANNELS = { inApp: true, push: false, email: false };
+
+/**
+ * Fill in defaults so every event has every channel
+ * @param {object} saved - { [type]: { inApp, push, email } } from the API
+ * @returns {object} Complete preferences
+ */
+function withDefaults(saved = {}) {
+  return Object.fromEntries(NOTIFICATION_EVENTS.map(({ type }) => [
+    type,
+    { ...DEFAULT_CHANNELS, ...(saved[type] || {}) },
+  ]));
+}
+
+/**
+ * Event × channel checkbox grid
+ * @param {object} preferences - Complete preferences
+ * @param {boolean} pushAvailable - false disables the push column
+ * @returns {string} HTML string
+ */
+function renderPreferences(preferences, pushAvailable) {
+  return `
+    <table class="prefs-table">
+      <thead>
+        <tr>
+          <th scope="col">Notify me when</th>
+          ${CHANNELS.map(channel => `<th scope="col">${channel.label}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${NOTIFICATION_EVENTS.map(event => `
+          <tr>
+            <th scope="row">${event.label}</th>
+            ${CHANNELS.map(channel => `
+              <td>
+                <input
+                  type="checkbox"
+                  data-event="${event.type}"
+                  data-channel="${channel.key}"
+                  aria-label="${channel.label}: ${event.label}"
+                  ${preferences[event.type][channel.key] ? 'checked' : ''}
+                  ${channel.key === 'push' && !pushAvailable ? 'disabled' : ''}
+                >
+              </td>
+            `).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+const settingsView = {
+  title: 'Settings',
+  nav: 'settings',
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container">
+        <h1 class="mb-6">Settings</h1>
+
+        <!-- Profile Settings Card -->
+        <div class="card mb-6">
+          <div class="card-header">
+            <h2 class="card-title">Profile Information <span class="hidden" id="profilePending">${outbox.renderBadge()}</span></h2>
+            <p class="card-description">Update your profile details and preferences</p>
+          </div>
+          <div class="card-body">
+            <form id="profileForm">
+              <div class="form-group">
+                <label for="name" class="form-label">Full Name</label>
+                <input 
+                  type="text" 
+                  id="name" 
+                  name="name" 
+                  class="form-input" 
+                  placeholder="Enter your name"
+                  required
+                >
+                <div class="form-error" id="nameError"></div>
+              </div>
+
+              <div class="form-group">
+                <label for="email" class="form-label">Email</label>
+                <input 
+                  type="email" 
+                  id="email" 
+                  name="email" 
+                  class="form-input" 
+                  placeholder="Enter your email"
+                  disabled
+                  title="Email cannot be changed"
+                >
+                <p class="text-xs text-secondary mt-2">Email address cannot be changed</p>
+              </div>
+
+              <div class="form-group">
+                <label for="bio" class="form-label">Bio</label>
+                ${markdown.renderEditorTabs('bio')}
+                <textarea 
+                  id="bio" 
+                  name="bio" 
+                  class="form-textarea" 
+                  placeholder="Tell us about yourself"
+                  rows="4"
+                ></textarea>
+                <div class="form-error" id="bioError"></div>
+              </div>
+
+              <div class="form-group">
+                <label for="skills" class="form-label">Skills</label>
+                <input 
+                  type="text" 
+                  id="skills" 
+                  name="skills" 
+                  class="form-input" 
+                  placeholder="Enter skills (comma-separated)"
+                >
+                <p class="text-xs text-secondary mt-2">Separate skills with commas (e.g., JavaScript, Design, Writing)</p>
+                <div class="form-error" id="skillsError"></div>
+              </div>
+
+              <div class="flex gap-3 justify-end">
+                <button type="button" class="btn btn-secondary" id="cancelBtn">Cancel</button>
+                <button type="submit" class="btn btn-primary">Save Changes</button>
+              </div>
+            </form>
+          </div>
+        </div>
+
+        <!-- Notification Settings Card -->
+        <div class="card mb-6">
+          <div class="card-header">
+            <h2 class="card-title">Notifications</h2>
+            <p class="card-description">Choose how you hear about activity on your tasks</p>
+          </div>
+          <div class="card-body">
+            <div id="notificationPrefs">
+              <div class="skeleton skeleton-text"></div>
+              <div class="skeleton skeleton-text" style="width: 70%;"></div>
+            </div>
+            <p class="text-xs text-secondary mt-2" id="pushStatus"></p>
+
+            <div class="flex gap-3 justify-end mt-4">
+              <button type="button" class="btn btn-secondary" id="testNotificationBtn" title="Uses your saved preferences">Send test notification</button>
+              <button type="button" class="btn btn-primary" id="savePrefsBtn" disabled>Save Preferences</button>
+            </div>
+          </div>
+        </div>
+
+        <!-- Account Actions Card -->
+        <div class="card mb-6">
+          <div class="card-header">
+            <h2 class="card-title">Account Actions</h2>
+            <p class="card-description">Manage your account settings</p>
+          </div>
+          <div class="card-body">
+            <button class="btn btn-error" id="logoutBtn">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+                <path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/>
+                <polyline points="16 17 21 12 16 7"/>
+                <line x1="21" y1="12" x2="9" y2="12"/>
+              </svg>
+              Logout
+            </button>
+          </div>
+        </div>
+
+        <!-- About Card -->
+        <div class="card">
+          <div class="card-header">
+            <h2 class="card-title">About WorkExchange</h2>
+          </div>
+          <div class="card-body">
+            <p class="text-secondary">WorkExchange is a platform where you can trade skills and tasks using coins. Complete tasks to earn coins and use them to get help with your own tasks.</p>
+            <div class="mt-4">
+              <p class="text-sm text-secondary">Version 1.0.0</p>
+              <p class="text-sm text-secondary mt-2">Backend: <span id="apiBackend">-</span></p>
+            </div>
+
+            <!-- Backend switcher (only shown on dev hosts) -->
+            <div class="mt-4 hidden" id="apiSwitcher">
+              <label for="apiProfileSelect" class="form-label">Developer: API backend</label>
+              <div class="flex gap-3">
+                <select id="apiProfileSelect" class="form-select flex-1"></select>
+                <button type="button" class="btn btn-secondary" id="apiResetBtn">Reset</button>
+              </div>
+              <p class="text-xs text-secondary mt-2">Or append <code>?api=&lt;profile|url&gt;</code> to any page URL</p>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Populate and wire up the settings form once the markup is in place
+   * @returns {Function} Cleanup - stops watching the outbox
+   */
+  mount() {
+    let currentUser = null;
+    const profileForm = document.getElementById('profileForm');
+    const nameInput = document.getElementById('name');
+    const emailInput = document.getElementById('email');
+    const bioInput = document.getElementById('bio');
+    const skillsInput = document.getElementById('skills');
+    const cancelBtn = document.getElementById('cancelBtn');
+    const logoutBtn = document.getElementById('logoutBtn');
+    const bioEditor = markdown.mountEditor(profileForm, 'bio');
+
+    // Populate form from the current user
+    function populateForm(user) {
+      currentUser = user;
+      nameInput.value = user.name || '';
+      emailInput.value = user.email || '';
+      bioInput.value = user.bio || '';
+      skillsInput.value = user.skills ? user.skills.join(', ') : '';
+    }
+
+    // Load user profile
+    async function loadProfile() {
+      try {
+        populateForm(await appShell.currentUser.load());
+      } catch (error) {
+        console.error('Failed to load profile:', error);
+        uiComponents.toast.error('Failed to load profile data');
+      }
+    }
+
+    // Clear errors on input
+    nameInput.addEventListener('input', () => {
+      nameInput.classList.remove('error');
+      document.getElementById('nameError').textContent = '';
+    });
+
+    bioInput.addEventListener('input', () => {
+      bioInput.classList.remove('error');
+      document.getElementById('bioError').textContent = '';
+    });
+
+    skillsInput.addEventListener('input', () => {
+      skillsInput.classList.remove('error');
+      document.getElementById('skillsError').textContent = '';
+    });
+
+    // Cancel button - reset form
+    cancelBtn.addEventListener('click', () => {
+      if (currentUser) {
+        nameInput.value = currentUser.name || '';
+        bioInput.value = currentUser.bio || '';
+        skillsInput.value = currentUser.skills ? currentUser.skills.join(', ') : '';
+      }
+      bioEditor.showWrite();
+
+      // Clear errors
+      nameInput.classList.remove('error');
+      bioInput.classList.remove('error');
+      skillsInput.classList.remove('error');
+      document.getElementById('nameError').textContent = '';
+      document.getElementById('bioError').textContent = '';
+      document.getElementById('skillsError').textContent = '';
+    });
+
+    // Form submission
+    profileForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      // Clear previous errors
+      nameInput.classList.remove('error');
+      bioInput.classList.remove('error');
+      skillsInput.classList.remove('error');
+      document.getElementById('nameError').textContent = '';
+      document.getElementById('bioError').textContent = '';
+      document.getElementById('skillsError').textContent = '';
+
+      // Get form values
+      const name = nameInput.value.trim();
+      const bio = bioInput.value.trim();
+      const skillsStr = skillsInput.value.trim();
+
+      // Validate
+      let hasError = false;
+
+      if (!name) {
+        nameInput.classList.add('error');
+        document.getElementById('nameError').textContent = 'Name is required';
+        hasError = true;
+      } else if (name.length < 2) {
+        nameInput.classList.add('error');
+        document.getElementById('nameError').textContent = 'Name must be at least 2 characters';
+        hasError = true;
+      }
+
+      if (hasError) return;
+
+      // Parse skills
+      const skills = skillsStr ? skillsStr.split(',').map(s => s.trim()).filter(s => s) : [];
+
+      // Prepare update data
+      const updateData = {
+        name,
+        bio,
+        skills,
+      };
+
+      // Submit update
+      const submitBtn = profileForm.querySelector('button[type="submit"]');
+      utils.showLoading(submitBtn);
+
+      try {
+        const response = await apiService.users.updateProfile(updateData);
+        if (response.queued) {
+          // Show the edits now; the server's copy replaces them once they sync
+          appShell.currentUser.update(updateData);
+          uiComponents.toast.info("You're offline - your changes will be saved when you're back online");
+        } else {
+          appShell.currentUser.set(response.user || response);
+          uiComponents.toast.success('Profile updated successfully!');
+        }
+        currentUser = appShell.currentUser.get();
+
+        utils.hideLoading(submitBtn);
+      } catch (error) {
+        console.error('Failed to update profile:', error);
+        uiComponents.toast.error(utils.parseError(error));
+        utils.hideLoading(submitBtn);
+      }
+    });
+
+    // Logout button
+    logoutBtn.addEventListener('click', async () => {
+      const confirmed = await uiComponents.modal.confirm({
+        title: 'Logout',
+        message: 'Are you sure you want to logout?',
+        confirmText: 'Logout',
+        confirmClass: 'btn-error',
+      });
+
+      if (confirmed) {
+        // Detach this device from the account while the token still works, so a
+        // shared device stops getting this user's notifications
+        await push.unsubscribe().catch(error => {
+          console.error('Failed to unsubscribe from push:', error);
+        });
+        apiService.auth.logout();
+      }
+    });
+
+    // Notification preferences
+    const prefsContainer = document.getElementById('notificationPrefs');
+    const pushStatus = document.getElementById('pushStatus');
+    const savePrefsBtn = document.getElementById('savePrefsBtn');
+    const testNotificationBtn = document.getElementById('testNotificationBtn');
+    let preferences = null;
+
+    // Explain the push column's state on this device
+    function renderPushStatus(subscribed) {
+      const permission = push.getPermission();
+      const messages = {
+        unsupported: "Push notifications aren't supported in this browser.",
+        denied: 'Push notifications are blocked for this site. Allow them in your browser settings to turn them on.',
+        default: 'Your browser will ask for permission when you turn on a push notification.',
+        granted: subscribed
+          ? 'Push notifications are on for this device.'
+          : 'Push notifications are off for this device - turn one on to enable them.',
+      };
+      pushStatus.textContent = messages[permission];
+    }
+
+    // Read the checkboxes back into preferences
+    function readPreferences() {
+      const result = withDefaults();
+      prefsContainer.querySelectorAll('[data-event]').forEach(box => {
+        result[box.dataset.event][box.dataset.channel] = box.checked;
+      });
+      return result;
+    }
+
+    async function loadPreferences() {
+      try {
+        const [response, subscription] = await Promise.all([
+          apiService.notifications.getPreferences(),
+          push.getSubscription().catch(() => null),
+        ]);
+        if (!router.isActive(settingsView)) return;
+
+        preferences = withDefaults(response.preferences);
+        const pushAvailable = !['unsupported', 'denied'].includes(push.getPermission());
+        prefsContainer.innerHTML = renderPreferences(preferences, pushAvailable);
+        renderPushStatus(!!subscription);
+        savePrefsBtn.disabled = false;
+      } catch (error) {
+        if (!router.isActive(settingsView)) return;
+
+        console.error('Failed to load notification preferences:', error);
+        prefsContainer.innerHTML = '<p class="text-error text-sm">Failed to load notification preferences. Please try again.</p>';
+      }
+    }
+
+    // Turning on a push box is the click the permission prompt needs
+    prefsContainer.addEventListener('change', async (e) => {
+      const box = e.target.closest('[data-channel="push"]');
+      if (!box || !box.checked) return;
+
+      try {
+        await push.subscribe();
+        renderPushStatus(true);
+      } catch (error) {
+        console.error('Failed to enable push notifications:', error);
+        box.checked = false;
+        uiComponents.toast.error(utils.parseError(error));
+        renderPushStatus(false);
+      }
+    });
+
+    savePrefsBtn.addEventListener('click', async () => {
+      const updated = readPreferences();
+      utils.showLoading(savePrefsBtn);
+
+      try {
+        const response = await apiService.notifications.updatePreferences({ preferences: updated });
+        preferences = withDefaults(response.preferences || updated);
+
+        // Nothing left to push - stop this device's subscription too
+        if (!Object.values(preferences).some(channels => channels.push)) {
+          await push.unsubscribe().catch(error => console.error('Failed to unsubscribe from push:', error));
+          if (router.isActive(settingsView)) renderPushStatus(false);
+        }
+
+        uiComponents.toast.success('Notification preferences saved');
+      } catch (error) {
+        console.error('Failed to save notification preferences:', error);
+        uiComponents.toast.error(utils.parseError(error));
+      } finally {
+        utils.hideLoading(savePrefsBtn);
+      }
+    });
+
+    testNotificationBtn.addEventListener('click', async () => {
+      utils.showLoading(testNotificationBtn);
+
+      try {
+        const response = await apiService.notifications.sendTest();
+        const sent = (response.sent || []).map(key => CHANNELS.find(c => c.key === key)?.label || key);
+
+        if (sent.length > 0) {
+          uiComponents.toast.success(`Test notification sent (${sent.join(', ')})`);
+        } else {
+          uiComponents.toast.warning('Every channel is off - turn one on and save first');
+        }
+        if (response.sent?.includes('inApp')) notifications.refreshCount();
+      } catch (error) {
+        console.error('Failed to send test notification:', error);
+        uiComponents.toast.error(utils.parseError(error));
+      } finally {
+        utils.hideLoading(testNotificationBtn);
+      }
+    });
+
+    // Show which backend this build is talking to
+    document.getElementById('apiBackend').textContent = `${config.profileLabel} (${config.apiBase})`;
+
+    // Dev-only backend switcher
+    if (config.isDev) {
+      const switcher = document.getElementById('apiSwitcher');
+      const select = document.getElementById('apiProfileSelect');
+
+      select.innerHTML = Object.entries(config.profiles).map(([name, profile]) => `
+        <option value="${name}" ${name === config.profile ? 'selected' : ''}>
+          ${profile.label} - ${profile.apiBase}
+        </option>
+      `).join('');
+
+      if (config.profile === 'custom') {
+        select.insertAdjacentHTML('afterbegin', `<option value="" selected>Custom - ${config.apiBase}</option>`);
+      }
+
+      select.addEventListener('change', () => {
+        if (select.value) config.setOverride(select.value);
+      });
+
+      document.getElementById('apiResetBtn').addEventListener('click', () => {
+        config.clearOverride();
+      });
+
+      switcher.classList.remove('hidden');
+    }
+
+    // Profile edits made offline are marked until they sync
+    const renderProfilePending = () => {
+      document.getElementById('profilePending')
+        .classList.toggle('hidden', outbox.list({ kind: 'profile.update' }).length === 0);
+    };
+    const stopOutbox = outbox.subscribe(renderProfilePending);
+    renderProfilePending();
+
+    // Initialize
+    loadProfile();
+    loadPreferences();
+
+    return stopOutbox;
+  },
+};
+
+export default settingsView;
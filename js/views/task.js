@@ -0,0 +1,498 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+import taskActions from '../task-actions.js';
+import tags from '../tags.js';
+import attachments from '../attachments.js';
+import markdown from '../markdown.js';
+import taskMessages from '../task-messages.js';
+import live from '../live.js';
+import outbox from '../outbox.js';
+
+/**
+ * Lifecycle steps in order, with the task field holding each timestamp
+ */
+const TIMELINE_STEPS = [
+  { status: 'open', label: 'Created', at: 'createdAt' },
+  { status: 'assigned', label: 'Assigned', at: 'assignedAt' },
+  { status: 'submitted', label: 'Submitted', at: 'submittedAt' },
+  { status: 'completed', label: 'Completed', at: 'completedAt' },
+];
+
+/**
+ * Statuses that end (or freeze) the lifecycle off the happy path
+ */
+const TERMINAL_STEPS = {
+  cancelled: { label: 'Cancelled', at: 'cancelledAt' },
+  disputed: { label: 'Disputed', at: 'disputedAt' },
+};
+
+// Id of the task on screen; responses for any other id are stale
+let taskId = null;
+let task = null;
+let review = null;
+// Stops the message thread's polling; null while no thread is mounted
+let stopThread = null;
+// Task id and open/closed state of the mounted thread - it's only rebuilt when
+// these change, so task reloads don't wipe a half-typed message
+let threadKey = null;
+
+// Link to a user's public profile
+function renderUserLink(user, fallback) {
+  if (!user) return utils.sanitizeHTML(fallback);
+  if (!user._id) return utils.sanitizeHTML(user.name || fallback);
+  return `<a href="#/users/${encodeURIComponent(user._id)}">${utils.sanitizeHTML(user.name || fallback)}</a>`;
+}
+
+// Timestamp cell: relative time, full date on hover
+function renderTimestamp(date) {
+  if (!date) return '';
+  return `<time datetime="${new Date(date).toISOString()}" title="${new Date(date).toLocaleString()}">${utils.formatDate(date)}</time>`;
+}
+
+// Render the status timeline
+function renderTimeline() {
+  const reached = TIMELINE_STEPS.findIndex(step => step.status === task.status);
+
+  const items = TIMELINE_STEPS.map((step, i) => {
+    // Cancelled/disputed tasks stop wherever they were; only steps with a timestamp count as done
+    const done = reached === -1 ? !!task[step.at] : i <= reached;
+    const state = done ? (i === reached ? 'current' : 'done') : 'pending';
+
+    return `
+      <li class="timeline-item ${state}">
+        <span class="timeline-dot"></span>
+        <div class="timeline-label">${step.label}</div>
+        <div class="timeline-time">${done ? renderTimestamp(task[step.at]) : ''}</div>
+      </li>
+    `;
+  });
+
+  const terminal = TERMINAL_STEPS[task.status];
+  if (terminal) {
+    items.push(`
+      <li class="timeline-item current ${task.status}">
+        <span class="timeline-dot"></span>
+        <div class="timeline-label">${terminal.label}</div>
+        <div class="timeline-time">${renderTimestamp(task[terminal.at])}</div>
+      </li>
+    `);
+  }
+
+  return `<ol class="timeline">${items.join('')}</ol>`;
+}
+
+// Render the actions the current user may take
+function renderActions() {
+  const user = appShell.currentUser.get();
+  if (!user) return '';
+
+  const can = taskActions.getPermissions(task, user);
+  const buttons = [];
+
+  if (can.canAssign) {
+    buttons.push('<button class="btn btn-primary flex-1" data-action="assign">Assign to Me</button>');
+  }
+  if (can.canApply) {
+    buttons.push('<button class="btn btn-primary flex-1" data-action="apply">Apply</button>');
+  }
+  if (can.hasApplied) {
+    buttons.push('<button class="btn btn-outline flex-1" disabled>Application Sent</button>');
+  }
+  // Work submitted offline is waiting in the outbox - don't offer to submit it again
+  if (can.canSubmit && !outbox.isPending(task._id)) {
+    buttons.push('<button class="btn btn-primary flex-1" data-action="submit">Submit Work</button>');
+  }
+  if (can.canApprove) {
+    buttons.push('<button class="btn btn-primary flex-1" data-action="approve">Review & Approve</button>');
+  }
+  if (can.canRequestChanges) {
+    buttons.push('<button class="btn btn-outline flex-1" data-action="request-changes">Request Changes</button>');
+  }
+  if (can.canEdit) {
+    buttons.push('<button class="btn btn-outline flex-1" data-action="edit">Edit</button>');
+  }
+  if (can.canCancel) {
+    buttons.push('<button class="btn btn-error flex-1" data-action="cancel">Cancel Task</button>');
+  }
+  if (can.canUnassign) {
+    buttons.push('<button class="btn btn-outline flex-1" data-action="unassign">Release Worker</button>');
+  }
+  if (can.canWithdraw) {
+    buttons.push('<button class="btn btn-outline flex-1" data-action="withdraw">Withdraw</button>');
+  }
+  if (can.canDispute) {
+    buttons.push('<button class="btn btn-ghost text-error" data-action="dispute">Open Dispute</button>');
+  }
+
+  const disputeHref = taskActions.getDisputeHref(task);
+  if (task.status === 'disputed' && disputeHref && (can.isOwner || can.isAssignee)) {
+    buttons.push(`<a href="${disputeHref}" class="btn btn-outline flex-1">View Dispute</a>`);
+  }
+
+  const applicants = can.canChooseApplicant ? taskActions.renderApplicants(task) : '';
+  const slots = can.isOwner && taskActions.isMultiSlot(task) ? taskActions.renderSlots(task) : '';
+  const milestones = taskActions.hasMilestones(task) ? taskActions.renderMilestones(task, user) : '';
+  return applicants + slots + milestones + (buttons.length ? `<div class="task-actions">${buttons.join('')}</div>` : '');
+}
+
+// Render pending feedback, submission notes and the approval review
+function renderOutcome() {
+  const reviewer = review?.reviewer?.name || task.owner?.name || 'Poster';
+  // A worker on a multi-slot task gets feedback on their own slot
+  const mySlot = taskActions.isMultiSlot(task) ? taskActions.getMyAssignment(task, appShell.currentUser.get()) : null;
+  const feedback = taskActions.getPendingFeedback(mySlot || task);
+
+  return `
+    ${feedback ? `
+      <div class="submission-notes changes-requested">
+        <div class="submission-notes-label">Changes requested - waiting for a resubmission</div>
+        <p>${utils.sanitizeHTML(feedback.feedback)}</p>
+      </div>
+    ` : ''}
+
+    ${task.submissionNotes ? `
+      <div class="submission-notes">
+        <div class="submission-notes-label">Submission notes</div>
+        <div class="markdown">${markdown.render(task.submissionNotes)}</div>
+        ${attachments.renderList(task.submissionAttachments, { label: 'Delivered files' })}
+      </div>
+    ` : ''}
+
+    ${review ? `
+      <div class="task-review">
+        <div class="flex items-center justify-between mb-2">
+          <div class="submission-notes-label">Review by ${utils.sanitizeHTML(reviewer)}</div>
+          <div class="text-warning">${'★'.repeat(review.rating || 0)}${'☆'.repeat(5 - (review.rating || 0))}</div>
+        </div>
+        <div class="text-secondary markdown">${markdown.render(review.comment || review.review || 'No comment')}</div>
+      </div>
+    ` : ''}
+  `;
+}
+
+// Render earlier submissions that were sent back, oldest first
+function renderRevisions() {
+  const revisions = task.revisions || [];
+  if (revisions.length === 0) return '';
+
+  return `
+    <div class="card mb-6">
+      <h3 class="text-xl font-semibold mb-4">Revision History</h3>
+      <ol class="revision-list">
+        ${revisions.map((revision, i) => `
+          <li class="revision-item">
+            <div class="revision-round">Round ${i + 1}</div>
+            <div class="submission-notes">
+              <div class="submission-notes-label">Submitted${revision.submittedAt ? ` · ${renderTimestamp(revision.submittedAt)}` : ''}</div>
+              <div class="markdown">${markdown.render(revision.notes || 'No notes')}</div>
+              ${attachments.renderList(revision.attachments, { label: 'Delivered files' })}
+            </div>
+            <div class="submission-notes changes-requested">
+              <div class="submission-notes-label">Changes requested${revision.requestedAt ? ` · ${renderTimestamp(revision.requestedAt)}` : ''}</div>
+              <p>${utils.sanitizeHTML(revision.feedback || '')}</p>
+            </div>
+          </li>
+        `).join('')}
+      </ol>
+    </div>
+  `;
+}
+
+// Render task
+function renderTask() {
+  document.getElementById('taskCard').innerHTML = `
+    <div class="task-header">
+      <div class="flex-1">
+        <h2 class="text-2xl font-bold mb-2">${utils.sanitizeHTML(task.title)}</h2>
+        <span class="badge ${utils.getStatusBadgeClass(task.status)}">
+          ${utils.getStatusDisplayText(task.status)}
+        </span>
+        ${outbox.isPending(task._id) ? outbox.renderBadge() : ''}
+      </div>
+      <div class="task-coins">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="24" height="24">
+          <circle cx="12" cy="12" r="10"/>
+          <path d="M12 6v6l4 2"/>
+        </svg>
+        ${utils.formatNumber(task.coins)}
+      </div>
+    </div>
+
+    <div class="task-description task-description-full markdown">${markdown.render(task.description)}</div>
+
+    ${attachments.renderList(task.attachments)}
+
+    <div class="task-meta">
+      <div class="task-meta-item">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+          <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/>
+          <circle cx="12" cy="7" r="4"/>
+        </svg>
+        <span>Posted by ${renderUserLink(task.owner, 'Unknown')}</span>
+      </div>
+      <div class="task-meta-item">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
+          <path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/>
+          <circle cx="8.5" cy="7" r="4"/>
+        </svg>
+        <span>${taskActions.isMultiSlot(task)
+          ? `${taskActions.getFilledSlots(task)} of ${taskActions.getSlots(task)} slots filled · ${utils.formatNumber(task.coins)} coins each`
+          : `Assigned to ${renderUserLink(task.assignedTo, 'Nobody yet')}`}</span>
+      </div>
+      ${task.deadline ? `
+        <div class="task-meta-item">
+          ${taskActions.renderDeadline(task)}
+          ${task.autoReturn ? '<span class="text-xs text-secondary">Returns to open if the deadline is missed</span>' : ''}
+        </div>
+      ` : ''}
+      ${task.category ? `
+        <div class="task-meta-item">
+          <span class="badge badge-info">${utils.sanitizeHTML(tags.getCategoryLabel(task.category))}</span>
+        </div>
+      ` : ''}
+    </div>
+
+    ${tags.renderChips(task.tags)}
+
+    ${renderOutcome()}
+
+    <div id="taskActions">${renderActions()}</div>
+  `;
+
+  document.getElementById('taskTimeline').innerHTML = renderTimeline();
+  document.getElementById('taskRevisions').innerHTML = renderRevisions();
+}
+
+// Mount the message thread for the poster and worker(s). Remounted only when
+// access or the open/closed state changes (completion makes it read-only).
+function mountMessages() {
+  const card = document.getElementById('taskMessages');
+  const user = appShell.currentUser.get();
+  const canMessage = !!task && !!user && taskActions.getPermissions(task, user).canMessage;
+  const key = canMessage ? `${task._id}:${taskMessages.isOpen(task)}` : null;
+  if (key === threadKey) return;
+
+  if (stopThread) {
+    stopThread();
+    stopThread = null;
+  }
+  threadKey = key;
+
+  card.classList.toggle('hidden', !canMessage);
+  if (canMessage) stopThread = taskMessages.mountThread(card.querySelector('.message-thread'), task);
+}
+
+// Find the approval review - embedded on the task, or among the worker's reviews
+async function loadReview() {
+  if (task.review) return task.review;
+
+  const workerId = task.assignedTo?._id || task.assignedTo;
+  if (task.status !== 'completed' || !workerId) return null;
+
+  try {
+    const response = await apiService.reviews.getUserReviews(workerId);
+    const reviews = response.reviews || response || [];
+    return reviews.find(r => (r.task?._id || r.task || r.taskId) === task._id) || null;
+  } catch (error) {
+    console.error('Failed to load review:', error);
+    return null;
+  }
+}
+
+// Load task
+async function loadTask() {
+  const requestedId = taskId;
+
+  try {
+    const response = await apiService.tasks.getById(requestedId);
+    if (requestedId !== taskId) return;
+
+    task = response.task || response;
+    review = null;
+    document.title = `${task.title} - WorkExchange`;
+    renderTask();
+    mountMessages();
+
+    const found = await loadReview();
+    if (requestedId !== taskId || !found) return;
+    review = found;
+    renderTask();
+  } catch (error) {
+    if (requestedId !== taskId) return;
+
+    console.error('Failed to load task:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    document.getElementById('taskCard').innerHTML = `
+      <div class="text-center text-error">
+        <p>Failed to load task. It may have been removed.</p>
+      </div>
+    `;
+    document.getElementById('taskTimeline').innerHTML = '';
+  }
+}
+
+// Handle action buttons
+async function handleAction(e) {
+  const btn = e.target.closest('[data-action]');
+  if (!btn || !task) return;
+
+  switch (btn.dataset.action) {
+    case 'assign':
+      if (await taskActions.assign(task._id, btn)) await loadTask();
+      break;
+    case 'apply':
+      taskActions.openApplyModal(task, { onDone: loadTask });
+      break;
+    case 'choose-applicant': {
+      const application = (task.applications || []).find(a => a._id === btn.dataset.applicationId);
+      if (application) taskActions.acceptApplication(task, application, { onDone: loadTask });
+      break;
+    }
+    case 'approve-slot':
+    case 'request-changes-slot': {
+      const assignment = (task.assignments || []).find(a => a._id === btn.dataset.assignmentId);
+      if (!assignment) break;
+      if (btn.dataset.action === 'approve-slot') {
+        taskActions.openReviewModal(task, { assignment, onDone: loadTask });
+      } else {
+        taskActions.openRequestChangesModal(task, { assignment, onDone: loadTask });
+      }
+      break;
+    }
+    case 'submit-milestone':
+    case 'approve-milestone': {
+      const milestone = (task.milestones || []).find(m => m._id === btn.dataset.milestoneId);
+      if (!milestone) break;
+      if (btn.dataset.action === 'submit-milestone') {
+        taskActions.openSubmitModal(task, { milestone, onDone: loadTask });
+      } else {
+        taskActions.approveMilestone(task, milestone, { onDone: loadTask });
+      }
+      break;
+    }
+    case 'submit':
+      taskActions.openSubmitModal(task, { onDone: loadTask });
+      break;
+    case 'approve':
+      taskActions.openReviewModal(task, { onDone: loadTask });
+      break;
+    case 'request-changes':
+      taskActions.openRequestChangesModal(task, { onDone: loadTask });
+      break;
+    case 'edit':
+      taskActions.openEditModal(task, { onDone: loadTask });
+      break;
+    case 'cancel':
+      taskActions.cancel(task, { onDone: loadTask });
+      break;
+    case 'unassign':
+      taskActions.unassign(task, { onDone: loadTask });
+      break;
+    case 'withdraw':
+      taskActions.withdraw(task, { onDone: loadTask });
+      break;
+    case 'dispute':
+      taskActions.openDisputeModal(task);
+      break;
+  }
+}
+
+const taskView = {
+  title: 'Task',
+  // Tasks are reached from lists, not the nav
+  nav: null,
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container" style="max-width: 800px;">
+        <div class="mb-4">
+          <button class="btn btn-ghost" onclick="history.back()">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+              <line x1="19" y1="12" x2="5" y2="12"/>
+              <polyline points="12 19 5 12 12 5"/>
+            </svg>
+            Back
+          </button>
+        </div>
+
+        <div class="card mb-6" id="taskCard">
+          <div class="skeleton skeleton-title"></div>
+          <div class="skeleton skeleton-text"></div>
+          <div class="skeleton skeleton-text" style="width: 60%;"></div>
+        </div>
+
+        <div id="taskRevisions"></div>
+
+        <div class="card mb-6 hidden" id="taskMessages">
+          <h3 class="text-xl font-semibold mb-4">Messages</h3>
+          <div class="message-thread"></div>
+        </div>
+
+        <div class="card">
+          <h3 class="text-xl font-semibold mb-4">Timeline</h3>
+          <div id="taskTimeline">
+            <div class="skeleton skeleton-text"></div>
+            <div class="skeleton skeleton-text" style="width: 60%;"></div>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Load the task in the route
+   * @param {HTMLElement} outlet - View container
+   * @param {object} params - Route params ({ id })
+   * @returns {Function} Cleanup
+   */
+  mount(outlet, params) {
+    taskId = params.id;
+    task = null;
+    review = null;
+    stopThread = null;
+    threadKey = null;
+
+    outlet.addEventListener('click', handleAction);
+
+    // Actions depend on who is looking - re-render them once the user is known
+    const unsubscribe = appShell.currentUser.subscribe(() => {
+      const actions = document.getElementById('taskActions');
+      if (task && actions) actions.innerHTML = renderActions();
+      if (task) mountMessages();
+    });
+
+    loadTask();
+    const stopDeadlines = taskActions.watchDeadlines(outlet, () => task);
+
+    // Someone else moved this task on - show its new state
+    const stopLive = live.subscribe((event) => {
+      if (event.task?._id === taskId && task) loadTask();
+    });
+
+    // A submission made offline synced (or was turned down)
+    const stopOutbox = outbox.subscribe(() => {
+      if (task) loadTask();
+    });
+
+    return () => {
+      outlet.removeEventListener('click', handleAction);
+      unsubscribe();
+      stopDeadlines();
+      stopLive();
+      stopOutbox();
+      if (stopThread) stopThread();
+      // Responses still in flight belong to a view that's gone
+      taskId = null;
+      task = null;
+      threadKey = null;
+    };
+  },
+};
+
+export default taskView;
@@ -0,0 +1,228 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+import walletActions from '../wallet-actions.js';
+import markdown from '../markdown.js';
+import router from '../router.js';
+
+let profileUser = null;
+let reviews = [];
+
+// Id of the user on screen; responses for any other id are stale
+let userId = null;
+
+// Whether a response for requestedId may still touch the page
+function isStale(requestedId) {
+  return requestedId !== userId || !router.isActive(userProfileView);
+}
+
+// Load user profile
+async function loadUserProfile() {
+  const requestedId = userId;
+
+  try {
+    const response = await apiService.users.getUser(requestedId);
+    if (isStale(requestedId)) return;
+    profileUser = response.user || response;
+    document.title = `${profileUser.name} - WorkExchange`;
+
+    renderProfile();
+  } catch (error) {
+    if (isStale(requestedId)) return;
+    console.error('Failed to load user profile:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    document.getElementById('profileCard').innerHTML = `
+      <div class="text-center text-error">
+        <p>Failed to load user profile. Please try again.</p>
+      </div>
+    `;
+  }
+}
+
+// Load user reviews
+async function loadReviews() {
+  const requestedId = userId;
+
+  try {
+    const response = await apiService.reviews.getUserReviews(requestedId);
+    if (isStale(requestedId)) return;
+    reviews = response.reviews || response || [];
+
+    renderReviews();
+  } catch (error) {
+    if (isStale(requestedId)) return;
+    console.error('Failed to load reviews:', error);
+    document.getElementById('reviewsList').innerHTML = `
+      <p class="text-secondary text-center">Failed to load reviews</p>
+    `;
+  }
+}
+
+// Render profile
+function renderProfile() {
+  const skills = profileUser.skills || [];
+  const rating = profileUser.rating || 0;
+  const isMe = profileUser._id === appShell.currentUser.get()?._id;
+
+  document.getElementById('profileCard').innerHTML = `
+    <div class="text-center mb-6">
+      <div class="user-avatar" style="width: 100px; height: 100px; margin: 0 auto 16px; background: linear-gradient(135deg, var(--color-primary), var(--color-secondary)); display: flex; align-items: center; justify-content: center; border-radius: var(--radius-full); color: white; font-weight: 600; font-size: 36px;">
+        ${utils.getInitials(profileUser.name)}
+      </div>
+      <h2 class="text-2xl font-bold mb-2">${utils.sanitizeHTML(profileUser.name)}</h2>
+      <div class="flex items-center justify-center gap-4 mb-4">
+        <div class="flex items-center gap-1">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20" class="text-warning">
+            <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+          </svg>
+          <span class="font-medium">${rating.toFixed(1)}</span>
+        </div>
+        <div class="flex items-center gap-1">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20" class="text-warning">
+            <circle cx="12" cy="12" r="10"/>
+            <path d="M12 6v6l4 2"/>
+          </svg>
+          <span class="font-medium">${utils.formatNumber(profileUser.coins || 0)} Coins</span>
+        </div>
+      </div>
+      ${isMe ? '' : `
+        <button type="button" class="btn btn-outline btn-sm" id="sendCoinsBtn">Send Coins</button>
+      `}
+    </div>
+
+    ${profileUser.bio ? `
+      <div class="mb-6">
+        <h3 class="text-lg font-semibold mb-2">Bio</h3>
+        <div class="text-secondary markdown">${markdown.render(profileUser.bio)}</div>
+      </div>
+    ` : ''}
+
+    ${skills.length > 0 ? `
+      <div>
+        <h3 class="text-lg font-semibold mb-3">Skills</h3>
+        <div class="flex flex-wrap gap-2">
+          ${skills.map(skill => `<span class="badge badge-secondary">${utils.sanitizeHTML(skill)}</span>`).join('')}
+        </div>
+      </div>
+    ` : ''}
+  `;
+
+  document.getElementById('sendCoinsBtn')?.addEventListener('click', () => {
+    // Reload afterwards so the recipient's balance is current
+    walletActions.openSendModal(profileUser, { onDone: loadUserProfile });
+  });
+}
+
+// Render reviews
+function renderReviews() {
+  const reviewsList = document.getElementById('reviewsList');
+
+  if (reviews.length === 0) {
+    reviewsList.innerHTML = `
+      <div class="empty-state">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="48" height="48">
+          <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+        </svg>
+        <p class="text-secondary">No reviews yet</p>
+      </div>
+    `;
+    return;
+  }
+
+  reviewsList.innerHTML = reviews.map(review => {
+    const reviewerName = review.reviewer?.name || 'Anonymous';
+    const rating = review.rating || 0;
+    const stars = '★'.repeat(rating) + '☆'.repeat(5 - rating);
+
+    return `
+      <div class="mb-4 pb-4" style="border-bottom: 1px solid var(--color-border);">
+        <div class="flex items-center justify-between mb-2">
+          <div class="flex items-center gap-2">
+            <div class="user-avatar" style="width: 32px; height: 32px; background: linear-gradient(135deg, var(--color-primary), var(--color-secondary)); display: flex; align-items: center; justify-content: center; border-radius: var(--radius-full); color: white; font-weight: 600; font-size: 12px;">
+              ${utils.getInitials(reviewerName)}
+            </div>
+            <div>
+              <div class="font-medium text-sm">${utils.sanitizeHTML(reviewerName)}</div>
+              <div class="text-xs text-secondary">${utils.formatDate(review.createdAt)}</div>
+            </div>
+          </div>
+          <div class="text-warning" style="font-size: 18px;">
+            ${stars}
+          </div>
+        </div>
+        <div class="text-secondary markdown">${markdown.render(review.comment || review.review || 'No comment')}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+const userProfileView = {
+  title: 'User Profile',
+  // Public profiles don't map to a nav item
+  nav: null,
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container" style="max-width: 800px;">
+        <div class="mb-4">
+          <button class="btn btn-ghost" onclick="history.back()">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20">
+              <line x1="19" y1="12" x2="5" y2="12"/>
+              <polyline points="12 19 5 12 12 5"/>
+            </svg>
+            Back
+          </button>
+        </div>
+
+        <!-- Profile Card -->
+        <div class="card mb-6" id="profileCard">
+          <!-- Skeleton loader -->
+          <div class="skeleton skeleton-avatar" style="width: 100px; height: 100px; margin: 0 auto 16px;"></div>
+          <div class="skeleton skeleton-title" style="margin: 0 auto 8px; width: 200px;"></div>
+          <div class="skeleton skeleton-text" style="margin: 0 auto; width: 150px;"></div>
+        </div>
+
+        <!-- Reviews Section -->
+        <div class="card" id="reviewsSection">
+          <h3 class="text-xl font-semibold mb-4">Reviews Received</h3>
+          <div id="reviewsList">
+            <!-- Skeleton loaders -->
+            <div class="mb-4 pb-4" style="border-bottom: 1px solid var(--color-border);">
+              <div class="skeleton skeleton-text" style="width: 150px;"></div>
+              <div class="skeleton skeleton-text mt-2"></div>
+            </div>
+            <div class="mb-4 pb-4" style="border-bottom: 1px solid var(--color-border);">
+              <div class="skeleton skeleton-text" style="width: 150px;"></div>
+              <div class="skeleton skeleton-text mt-2"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Load the profile and reviews for the user in the route
+   * @param {HTMLElement} outlet - View container
+   * @param {object} params - Route params ({ id })
+   * @returns {Function} Cleanup - marks responses still in flight as stale
+   */
+  mount(outlet, params) {
+    userId = params.id;
+    profileUser = null;
+    reviews = [];
+
+    Promise.all([loadUserProfile(), loadReviews()]);
+
+    return () => {
+      userId = null;
+    };
+  },
+};
+
+export default userProfileView;
@@ -0,0 +1,254 @@
+import apiService from '../api.js';
+import utils from '../utils.js';
+import uiComponents from '../components.js';
+import appShell from '../app-shell.js';
+import router from '../router.js';
+
+const PAGE_SIZE = 30;
+
+/**
+ * Ledger entry types and how they read in the list
+ */
+const TRANSACTION_TYPES = {
+  grant: { label: 'Signup bonus' },
+  escrow: { label: 'Escrowed for task' },
+  release: { label: 'Earned from task' },
+  refund: { label: 'Refunded from task' },
+  transfer: { label: 'Transfer' },
+  tip: { label: 'Tip' },
+};
+
+// Filter chips - `type` is sent to the server as-is
+const FILTERS = [
+  { type: '', label: 'All' },
+  { type: 'release', label: 'Earned' },
+  { type: 'escrow', label: 'Escrowed' },
+  { type: 'refund', label: 'Refunds' },
+  { type: 'grant', label: 'Bonuses' },
+  { type: 'transfer', label: 'Transfers' },
+  { type: 'tip', label: 'Tips' },
+];
+
+let transactions = [];
+let nextCursor = null;
+let activeType = '';
+let summary = null;
+let requestId = 0;
+
+// Render available / escrowed balances
+function renderSummary() {
+  const user = appShell.currentUser.get();
+  const available = summary?.available ?? user?.coins ?? 0;
+  const escrowed = summary?.escrowed ?? 0;
+
+  document.getElementById('walletSummary').innerHTML = `
+    <div class="wallet-summary">
+      <div>
+        <div class="text-sm text-secondary mb-1">Available</div>
+        <div class="text-3xl font-bold text-primary">${utils.formatNumber(available)}</div>
+      </div>
+      <div>
+        <div class="text-sm text-secondary mb-1">In escrow</div>
+        <div class="text-3xl font-bold">${utils.formatNumber(escrowed)}</div>
+      </div>
+      <div>
+        <div class="text-sm text-secondary mb-1">Total</div>
+        <div class="text-3xl font-bold">${utils.formatNumber(available + escrowed)}</div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Fill in balanceAfter for entries the API didn't annotate, walking back
+ * from the available balance. Only possible on the unfiltered ledger,
+ * where every entry is present.
+ */
+function withRunningBalance(entries) {
+  if (activeType || entries.every(entry => typeof entry.balanceAfter === 'number')) {
+    return entries;
+  }
+
+  let running = summary?.available ?? appShell.currentUser.get()?.coins ?? 0;
+  return entries.map(entry => {
+    const balanceAfter = typeof entry.balanceAfter === 'number' ? entry.balanceAfter : running;
+    running = balanceAfter - (entry.amount || 0);
+    return { ...entry, balanceAfter };
+  });
+}
+
+// Render a single ledger entry
+function renderTransaction(entry) {
+  const type = TRANSACTION_TYPES[entry.type] || { label: utils.getStatusDisplayText(entry.type) };
+  const amount = entry.amount || 0;
+  const task = entry.task;
+  const taskId = task?._id || task;
+
+  return `
+    <div class="ledger-row">
+      <div class="ledger-main">
+        <div class="font-medium">${type.label}</div>
+        ${taskId ? `
+          <a href="#/tasks/${encodeURIComponent(taskId)}" class="text-sm">${utils.sanitizeHTML(task.title || 'View task')}</a>
+        ` : ''}
+        ${entry.counterparty?._id ? `
+          <div class="text-sm">
+            ${amount >= 0 ? 'From' : 'To'}
+            <a href="#/users/${encodeURIComponent(entry.counterparty._id)}">${utils.sanitizeHTML(entry.counterparty.name || 'Unknown')}</a>
+          </div>
+        ` : ''}
+        ${entry.memo ? `<div class="text-sm text-secondary">${utils.sanitizeHTML(entry.memo)}</div>` : ''}
+        <div class="text-xs text-secondary">${utils.formatDate(entry.createdAt)}</div>
+      </div>
+      <div class="ledger-amounts">
+        <div class="ledger-amount ${amount >= 0 ? 'credit' : 'debit'}">
+          ${amount >= 0 ? '+' : '−'}${utils.formatNumber(Math.abs(amount))}
+        </div>
+        ${typeof entry.balanceAfter === 'number' ? `
+          <div class="text-xs text-secondary">Balance ${utils.formatNumber(entry.balanceAfter)}</div>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Render the transactions loaded so far
+function renderTransactions() {
+  const ledger = document.getElementById('ledgerList');
+  const loadMoreBtn = document.getElementById('ledgerLoadMore');
+
+  if (transactions.length === 0) {
+    ledger.innerHTML = `
+      <div class="empty-state">
+        <p class="text-secondary">${activeType ? 'No transactions of this type yet.' : 'No transactions yet.'}</p>
+      </div>
+    `;
+  } else {
+    ledger.innerHTML = withRunningBalance(transactions).map(renderTransaction).join('');
+  }
+
+  loadMoreBtn.classList.toggle('hidden', !nextCursor);
+}
+
+// Load transactions
+// Pass append = true to fetch the next page after the current cursor
+async function loadTransactions(append = false) {
+  // Ignore responses for filters that have since changed, or after leaving the page
+  const currentRequest = ++requestId;
+  const isStale = () => currentRequest !== requestId || !router.isActive(walletView);
+  const ledger = document.getElementById('ledgerList');
+  const loadMoreBtn = document.getElementById('ledgerLoadMore');
+
+  if (!append) {
+    ledger.innerHTML = uiComponents.skeleton.multiple('card', 3);
+    loadMoreBtn.classList.add('hidden');
+  } else {
+    utils.showLoading(loadMoreBtn);
+  }
+
+  try {
+    const response = await apiService.wallet.getTransactions({
+      type: activeType,
+      cursor: append ? nextCursor : undefined,
+      limit: PAGE_SIZE,
+    });
+    if (isStale()) return;
+
+    const page = response.transactions || response || [];
+    transactions = append ? transactions.concat(page) : page;
+    nextCursor = response.nextCursor || null;
+
+    renderTransactions();
+  } catch (error) {
+    if (isStale()) return;
+
+    console.error('Failed to load transactions:', error);
+    uiComponents.toast.error(utils.parseError(error));
+    if (!append) {
+      ledger.innerHTML = `
+        <div class="empty-state">
+          <p class="text-error">Failed to load transactions. Please try again.</p>
+        </div>
+      `;
+    }
+  } finally {
+    if (append) utils.hideLoading(loadMoreBtn);
+  }
+}
+
+// Load balances
+async function loadSummary() {
+  try {
+    summary = await apiService.wallet.getSummary();
+  } catch (error) {
+    // Fall back to the profile's coin count
+    console.error('Failed to load wallet summary:', error);
+    summary = null;
+  }
+  if (router.isActive(walletView)) renderSummary();
+}
+
+const walletView = {
+  title: 'Wallet',
+  nav: 'wallet',
+
+  /**
+   * Page markup
+   * @returns {string} HTML string
+   */
+  render() {
+    return `
+      <div class="container">
+        <div class="page-header mb-6">
+          <h1 class="text-3xl font-bold">Wallet</h1>
+          <p class="text-secondary mt-2">Every coin in and out of your account</p>
+        </div>
+
+        <div class="card mb-6" id="walletSummary">
+          <div class="skeleton skeleton-card"></div>
+        </div>
+
+        <div class="chip-group mb-4" id="ledgerFilters" role="group" aria-label="Filter transactions">
+          ${FILTERS.map(filter => `
+            <button type="button" class="chip ${filter.type === '' ? 'active' : ''}" data-type="${filter.type}">${filter.label}</button>
+          `).join('')}
+        </div>
+
+        <div class="card">
+          <div id="ledgerList"></div>
+          <div class="text-center mt-4">
+            <button type="button" class="btn btn-outline hidden" id="ledgerLoadMore">Load more</button>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Load balances and the first page of the ledger
+   */
+  mount() {
+    transactions = [];
+    nextCursor = null;
+    activeType = '';
+    summary = null;
+
+    document.querySelectorAll('#ledgerFilters .chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        document.querySelectorAll('#ledgerFilters .chip').forEach(c => c.classList.remove('active'));
+        chip.classList.add('active');
+        activeType = chip.dataset.type;
+        loadTransactions();
+      });
+    });
+
+    document.getElementById('ledgerLoadMore').addEventListener('click', () => {
+      if (nextCursor) loadTransactions(true);
+    });
+
+    // Running balances are derived from the summary, so load it first
+    loadSummary().then(() => loadTransactions());
+  },
+};
+
+export default walletView;
@@ -0,0 +1,167 @@
+/**
+ * Wallet Actions Module
+ * Sending coins to other users: direct transfers from a profile and tips on approval
+ */
+
+import apiService from './api.js';
+import utils from './utils.js';
+import uiComponents from './components.js';
+import appShell from './app-shell.js';
+
+const MEMO_MAX_LENGTH = 200;
+
+/**
+ * Display name for a user reference, which may be a bare id
+ * @param {object|string} user - User object or id
+ * @returns {string} Name
+ */
+function displayName(user) {
+  return (typeof user === 'object' && user?.name) || 'this user';
+}
+
+const walletActions = {
+  /**
+   * Amount and memo inputs, shared by the send and tip forms
+   * @param {string} prefix - Id prefix, so two sets can live on one page
+   * @returns {string} HTML string
+   */
+  renderFields(prefix) {
+    const balance = appShell.currentUser.get()?.coins;
+
+    return `
+      <div class="form-group">
+        <label class="form-label" for="${prefix}Amount">Amount</label>
+        <input type="number" id="${prefix}Amount" class="form-input" min="1" step="1" placeholder="Coins" required>
+        ${balance !== undefined ? `
+          <p class="text-xs text-secondary mt-2">You have ${utils.formatNumber(balance)} coins available</p>
+        ` : ''}
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="${prefix}Memo">Memo</label>
+        <input type="text" id="${prefix}Memo" class="form-input" maxlength="${MEMO_MAX_LENGTH}" placeholder="What's it for?" required>
+      </div>
+    `;
+  },
+
+  /**
+   * Read and validate the amount and memo inputs
+   * Shows a toast for the first problem found
+   * @param {HTMLElement} container - Element holding the fields
+   * @param {string} prefix - Id prefix passed to renderFields
+   * @returns {object|null} { amount, memo }, or null if invalid
+   */
+  readFields(container, prefix) {
+    const amount = parseInt(container.querySelector(`#${prefix}Amount`).value);
+    const memo = container.querySelector(`#${prefix}Memo`).value.trim();
+    const currentUser = appShell.currentUser.get();
+
+    if (!amount || isNaN(amount) || amount < 1) {
+      uiComponents.toast.error('Minimum 1 coin required');
+      return null;
+    }
+
+    if (currentUser && amount > currentUser.coins) {
+      uiComponents.toast.error(`Insufficient balance. You have ${utils.formatNumber(currentUser.coins)} coins`);
+      return null;
+    }
+
+    if (!memo) {
+      uiComponents.toast.error('Please add a memo');
+      return null;
+    }
+
+    return { amount, memo };
+  },
+
+  /**
+   * Ask the user to confirm a transfer
+   * @param {object|string} recipient - User receiving the coins
+   * @param {object} transfer - { amount, memo, taskId }
+   * @returns {Promise<boolean>} User's choice
+   */
+  confirm(recipient, transfer) {
+    const { amount, memo, taskId } = transfer;
+    const coins = `${utils.formatNumber(amount)} coin${amount === 1 ? '' : 's'}`;
+
+    return uiComponents.modal.confirm({
+      title: taskId ? 'Approve & Tip' : 'Send Coins',
+      message: taskId
+        ? `Approve the task and tip ${displayName(recipient)} ${coins} on top of the reward? Memo: "${memo}". Tips can't be undone.`
+        : `Send ${coins} to ${displayName(recipient)}? Memo: "${memo}". Transfers can't be undone.`,
+      confirmText: taskId ? 'Approve & Tip' : 'Send',
+    });
+  },
+
+  /**
+   * Send coins and refresh the balance everywhere
+   * @param {object|string} recipient - User receiving the coins
+   * @param {object} transfer - { amount, memo, taskId: set for tips }
+   * @returns {Promise<object>} API response
+   */
+  async transfer(recipient, transfer) {
+    const { amount, memo, taskId } = transfer;
+    const response = await apiService.wallet.transfer({
+      recipientId: typeof recipient === 'string' ? recipient : recipient._id,
+      amount,
+      memo,
+      taskId,
+    });
+
+    appShell.currentUser.refresh().catch(() => {});
+    return response;
+  },
+
+  /**
+   * Send coins directly to another user
+   * @param {object} recipient - User receiving the coins ({ _id, name })
+   * @param {object} options - { onDone: called after the coins were sent }
+   */
+  openSendModal(recipient, options = {}) {
+    const { onDone = null } = options;
+
+    const footer = `
+      <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+      <button class="btn btn-primary" data-action="send">Send Coins</button>
+    `;
+
+    const { modal, close } = uiComponents.modal.show({
+      title: `Send Coins to ${recipient.name || 'User'}`,
+      content: this.renderFields('send'),
+      footer,
+      closeOnBackdrop: false,
+    });
+
+    // Handle buttons
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+
+      if (action === 'cancel') {
+        close();
+      } else if (action === 'send') {
+        const fields = this.readFields(modal, 'send');
+        if (!fields) return;
+
+        const sendBtn = e.target;
+        if (!(await this.confirm(recipient, fields))) return;
+
+        try {
+          sendBtn.disabled = true;
+          sendBtn.textContent = 'Sending...';
+
+          await this.transfer(recipient, fields);
+
+          uiComponents.toast.success(`Sent ${utils.formatNumber(fields.amount)} coins to ${recipient.name || 'user'}`);
+          close();
+          if (onDone) await onDone();
+        } catch (error) {
+          console.error('Failed to send coins:', error);
+          uiComponents.toast.error(utils.parseError(error));
+          sendBtn.disabled = false;
+          sendBtn.textContent = 'Send Coins';
+        }
+      }
+    });
+  },
+};
+
+export default walletActions;
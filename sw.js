@@ -0,0 +1,196 @@
+/**
+ * Service Worker
+ * Keeps the app shell and the last-seen API data so the app can be browsed
+ * offline, shows Web Push notifications and opens the app when one is clicked.
+ * Served from the site root so its scope covers every page.
+ */
+
+// Bump the version when the shell files change so old copies are dropped
+const SHELL_CACHE = 'workexchange-shell-v1';
+// Last response of every API GET, in one cache per token (see dataCacheFor),
+// all dropped when the session ends
+const DATA_CACHE_PREFIX = 'workexchange-data-';
+
+const APP_URL = new URL('pages/app.html', self.registration.scope).href;
+
+// Everything the single-page app loads (pages/app.html and its module graph)
+const SHELL_FILES = [
+  'pages/app.html',
+  'css/styles.css',
+  'js/app.js',
+  'js/api.js',
+  'js/app-shell.js',
+  'js/attachments.js',
+  'js/components.js',
+  'js/config.js',
+  'js/live.js',
+  'js/markdown.js',
+  'js/notifications.js',
+  'js/offline.js',
+  'js/outbox.js',
+  'js/push.js',
+  'js/router.js',
+  'js/session.js',
+  'js/tags.js',
+  'js/task-actions.js',
+  'js/task-messages.js',
+  'js/utils.js',
+  'js/wallet-actions.js',
+  'js/views/browse-tasks.js',
+  'js/views/dashboard.js',
+  'js/views/dispute.js',
+  'js/views/my-tasks.js',
+  'js/views/notifications.js',
+  'js/views/post-task.js',
+  'js/views/profile.js',
+  'js/views/settings.js',
+  'js/views/task.js',
+  'js/views/user-profile.js',
+  'js/views/wallet.js',
+].map(path => new URL(path, self.registration.scope).href);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name !== SHELL_CACHE && !name.startsWith(DATA_CACHE_PREFIX))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Network first, so online users always get current files and data; the
+ * cached copy is only used when the network fails
+ * @param {Request} request - GET request
+ * @param {string} cacheName - Cache to keep the response in (and the only one read back)
+ * @returns {Promise<Response|undefined>} Response, or undefined if offline with nothing cached
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return cache.match(request);
+  }
+}
+
+/**
+ * Cache for an API read, named after a hash of the token it was sent with.
+ * The same URL (/api/auth/me, the wallet) answers differently per account, so
+ * a response is only ever served back to the session that fetched it.
+ * @param {Request} request - API GET
+ * @returns {Promise<string>} Cache name
+ */
+async function dataCacheFor(request) {
+  const token = request.headers.get('Authorization') || '';
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  return DATA_CACHE_PREFIX + hash.slice(0, 32);
+}
+
+async function clearDataCaches() {
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(DATA_CACHE_PREFIX))
+    .map(name => caches.delete(name)));
+}
+
+// Offline with nothing saved - answer like the API would, so the page shows a message
+function offlineResponse() {
+  return new Response(JSON.stringify({ msg: "You're offline and this hasn't been saved for offline use yet" }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // The live event stream stays open - never cache it
+  if (url.pathname.includes('/api/events') || request.headers.get('Accept') === 'text/event-stream') return;
+
+  if (url.pathname.includes('/api/')) {
+    event.respondWith(dataCacheFor(request)
+      .then(cacheName => networkFirst(request, cacheName))
+      .then(response => response || offlineResponse()));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  // Page loads fall back to the cached app page (legacy URLs still redirect into it)
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE)
+      .then(response => response || caches.match(APP_URL))
+      .then(response => response || Response.error()));
+    return;
+  }
+
+  event.respondWith(networkFirst(request, SHELL_CACHE).then(response => response || Response.error()));
+});
+
+// Sent by js/session.js however the session ends (logout, expiry, another tab,
+// a new login) - the cached API data and this device's push subscription belong
+// to that account. The token may already be invalid, so the subscription is only
+// dropped at the push service; the server removes it once sends start failing.
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'session-ended') {
+    event.waitUntil(Promise.all([
+      clearDataCaches(),
+      self.registration.pushManager.getSubscription()
+        .then(subscription => subscription && subscription.unsubscribe()),
+    ]));
+  }
+});
+
+// Payload: { title, body, url, tag } - url is an app route such as "#/tasks/42"
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(data.title || 'WorkExchange', {
+    body: data.body || '',
+    tag: data.tag,
+    data: { url: data.url },
+  }));
+});
+
+// Focus an open app window on the notification's route, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  // Only app routes - a push payload must not send the user anywhere else
+  const route = event.notification.data?.url;
+  const target = APP_URL + (typeof route === 'string' && route.startsWith('#/') ? route : '#/notifications');
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => client.url.startsWith(APP_URL));
+
+    if (existing) {
+      await existing.focus();
+      return existing.navigate(target).catch(() => self.clients.openWindow(target));
+    }
+    return self.clients.openWindow(target);
+  })());
+});